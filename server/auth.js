@@ -1,130 +1,449 @@
 import { UniversalCache, Innertube } from 'youtubei.js';
+import crypto from 'crypto';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { parseCookieFile, toCookieFile } from './cookies.js';
 
-let youtube = null;
-const CREDENTIALS_FILE = './yt-credentials.json';
+/**
+ * YouTube sign-in, per client. Signing in creates a session: a random token
+ * the browser keeps and sends back as `Authorization: Bearer <token>`, with
+ * its own Innertube instance. A session signs in with a device code (OAuth)
+ * or with an imported cookies.txt. What it signed in with is stored
+ * encrypted with a key derived from its token (and SESSION_SECRET), in a file
+ * named after a hash of the token, so the session directory alone is not
+ * enough to use anyone's account. Sessions unused for SESSION_IDLE_TIMEOUT_S
+ * are deleted.
+ *
+ * Requests without a session share one signed-out instance.
+ */
+const SESSION_DIR = process.env.SESSION_DIR || './yt-sessions';
+const IDLE_TIMEOUT_MS = (Number(process.env.SESSION_IDLE_TIMEOUT_S) || 7 * 24 * 3600) * 1000;
+const SESSION_SECRET = process.env.SESSION_SECRET || '';
+// Sessions whose sign-in was never completed hold an Innertube instance for nothing
+const PENDING_TIMEOUT_MS = 30 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+// How long YouTube gets to hand out a sign-in code, and how long one lasts if it doesn't say
+const CODE_TIMEOUT_MS = 20000;
+const DEFAULT_CODE_LIFETIME_S = 1800;
+const FLOW_RETENTION_MS = 10 * 60 * 1000;
+// Activity is recorded on the session file's mtime, at most this often
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+// Imported cookies that run out sooner than this are flagged in the session status
+const COOKIE_EXPIRY_WARNING_MS = 7 * 24 * 3600 * 1000;
+
+// token hash -> { id, key, youtube, record, lastUsed, lastTouched }
+const sessions = new Map();
+let anonymousYoutube = null;
 
 let logCallback = (msg) => console.log(msg);
-export const setLogCallback = (cb) => { logCallback = cb; };
+let errorCallback = (msg) => console.error(msg);
+export const setLogCallbacks = (log, error) => {
+    logCallback = log;
+    errorCallback = error;
+};
 
 const addToLogs = (msg) => {
     logCallback(`[AUTH] ${msg}`);
 };
+const addErrorToLogs = (msg) => {
+    errorCallback(`[AUTH] ${msg}`);
+};
 
-export const initYoutube = async () => {
-    addToLogs('initYoutube called');
-    if (youtube) return youtube;
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
-    try {
-        addToLogs('Creating Innertube instance...');
-        youtube = await Innertube.create({
-            cache: new UniversalCache(false),
-            generate_session_locally: true,
-            client_type: 'WEB_REMIX'
-        });
-        addToLogs('Innertube instance created with WEB_REMIX');
+const sessionFile = (session) => path.join(SESSION_DIR, `${session.id}.json`);
+
+// Short form of the session ID for log lines
+const label = (session) => session.id.slice(0, 8);
 
-        // Try to load existing credentials
-        if (fs.existsSync(CREDENTIALS_FILE)) {
-            addToLogs('Loading YouTube credentials from file...');
-            const creds = JSON.parse(fs.readFileSync(CREDENTIALS_FILE, 'utf-8'));
+const encrypt = (key, value) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value)), cipher.final()]);
+    return JSON.stringify({
+        version: 1,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    });
+};
+
+const decrypt = (key, text) => {
+    const { iv, tag, data } = JSON.parse(text);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return JSON.parse(Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString());
+};
 
-            // Restore session
-            await youtube.session.signIn(creds);
-            addToLogs('YouTube session restored successfully');
+// A session's stored record: { credentials } from OAuth and/or { cookies } from an imported cookies.txt
+const loadRecord = (session) => {
+    if (session.record) return session.record;
+    const file = sessionFile(session);
+    session.record = {};
+    if (fs.existsSync(file)) {
+        try {
+            session.record = decrypt(session.key, fs.readFileSync(file, 'utf-8'));
+        } catch (error) {
+            addErrorToLogs(`Could not decrypt the record of session ${label(session)}: ${error.message}`);
         }
-    } catch (error) {
-        addToLogs(`Error initializing YouTube: ${error.message}`);
     }
+    return session.record;
+};
+
+const saveRecord = (session, changes) => {
+    const record = { ...loadRecord(session), ...changes };
+    fs.mkdirSync(SESSION_DIR, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(sessionFile(session), encrypt(session.key, record), { mode: 0o600 });
+    session.record = record;
+    session.lastTouched = Date.now();
+};
+
+const saveCredentials = (session, credentials) => {
+    saveRecord(session, { credentials });
+    addToLogs(`Credentials saved for session ${label(session)}`);
+};
+
+const newSession = (token, lastUsed = Date.now()) => {
+    const session = {
+        id: hashToken(token),
+        key: Buffer.from(crypto.hkdfSync('sha256', token, SESSION_SECRET, 'music-pitch youtube credentials', 32)),
+        youtube: null,
+        record: null,
+        lastUsed,
+        lastTouched: lastUsed
+    };
+    sessions.set(session.id, session);
+    return session;
+};
+
+const forget = (session) => {
+    for (const flow of flows.values()) {
+        if (flow.session.id === session.id) {
+            finishFlow(flow, 'cancelled', 'The session ended');
+            flows.delete(flow.id);
+        }
+    }
+    sessions.delete(session.id);
+    fs.rmSync(sessionFile(session), { force: true });
+};
+
+/** Starts a new, signed-out session. Returns { token, session }; only the client keeps the token. */
+export const createSession = () => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const session = newSession(token);
+    addToLogs(`Session ${label(session)} created`);
+    return { token, session };
+};
+
+/**
+ * The session for a token, or null for a missing, unknown or expired one.
+ * Sessions with saved credentials survive restarts: they are picked up
+ * again from their file on first use.
+ */
+export const getSession = (token) => {
+    if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) return null;
+    const id = hashToken(token);
+    let session = sessions.get(id);
+    if (!session) {
+        const file = path.join(SESSION_DIR, `${id}.json`);
+        if (!fs.existsSync(file)) return null;
+        session = newSession(token, fs.statSync(file).mtimeMs);
+    }
+
+    const now = Date.now();
+    if (now - session.lastUsed > IDLE_TIMEOUT_MS) {
+        addToLogs(`Session ${label(session)} expired after being idle`);
+        forget(session);
+        return null;
+    }
+    session.lastUsed = now;
+    if (now - session.lastTouched > TOUCH_INTERVAL_MS && fs.existsSync(sessionFile(session))) {
+        session.lastTouched = now;
+        fs.utimesSync(sessionFile(session), new Date(now), new Date(now));
+    }
+    return session;
+};
+
+/** The `Authorization: Bearer` token of a request, if any. */
+export const requestToken = (req) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1] : null;
+};
 
+const createYoutube = async (session) => {
+    const youtube = await Innertube.create({
+        cache: new UniversalCache(false),
+        generate_session_locally: true,
+        client_type: 'WEB_REMIX'
+    });
+    if (!session) {
+        addToLogs('Anonymous Innertube instance created with WEB_REMIX');
+        return youtube;
+    }
+
+    // Sign-ins and token refreshes both report the current credentials
+    const persist = ({ credentials }) => {
+        if (credentials && !youtube.retired && sessions.has(session.id)) saveCredentials(session, credentials);
+    };
+    youtube.session.on('auth', persist);
+    youtube.session.on('update-credentials', persist);
+
+    const { credentials } = loadRecord(session);
+    if (credentials) {
+        addToLogs(`Restoring session ${label(session)}...`);
+        try {
+            await youtube.session.signIn(credentials);
+            addToLogs(`Session ${label(session)} restored successfully`);
+        } catch (error) {
+            addErrorToLogs(`Could not restore session ${label(session)}: ${error.message}`);
+        }
+    }
     return youtube;
 };
 
-export const startAuthFlow = async () => {
-    const yt = await initYoutube();
+/**
+ * Resolves with the Innertube instance for a session (see getSession), or
+ * the shared signed-out one when `session` is null.
+ */
+export const getYoutube = (session = null) => {
+    if (!session) {
+        anonymousYoutube ||= createYoutube(null).catch((error) => {
+            anonymousYoutube = null;
+            throw error;
+        });
+        return anonymousYoutube;
+    }
+    session.youtube ||= createYoutube(session).catch((error) => {
+        session.youtube = null;
+        throw error;
+    });
+    return session.youtube;
+};
+
+/**
+ * Device-code sign-in flows. Each flow is a small state machine:
+ *
+ *   pending -> approved | expired | failed | cancelled
+ *
+ * A flow is pending from the moment YouTube hands out a code until the user
+ * enters it (approved), the code runs out (expired), YouTube reports an error
+ * (failed) or the client gives up (cancelled). Finished flows are kept for
+ * FLOW_RETENTION_MS so a client polling /api/auth/flow/:id sees the outcome.
+ */
+const FLOW_STATES = ['pending', 'approved', 'expired', 'failed', 'cancelled'];
+
+// flow ID -> { id, session, youtube, opening, state, verificationUrl, userCode, interval, expiresAt, error, finishedAt, expiryTimer, detach }
+const flows = new Map();
+
+const describeFlow = (flow) => ({
+    id: flow.id,
+    state: flow.state,
+    verification_url: flow.verificationUrl,
+    user_code: flow.userCode,
+    expires_at: new Date(flow.expiresAt).toISOString(),
+    expires_in: Math.max(0, Math.round((flow.expiresAt - Date.now()) / 1000)),
+    interval: flow.interval,
+    error: flow.error
+});
+
+// Moves a pending flow to a final state; anything after the first transition is ignored
+const finishFlow = (flow, state, error = null) => {
+    if (flow.state !== 'pending' || !FLOW_STATES.includes(state)) return false;
+    flow.state = state;
+    flow.error = error;
+    flow.finishedAt = Date.now();
+    clearTimeout(flow.expiryTimer);
+    flow.detach();
+
+    // youtubei.js keeps polling for a code it handed out until that code expires, and cannot be
+    // told to stop, so the instance is retired: a late approval must not sign this session in
+    if (state === 'cancelled' || state === 'expired') {
+        flow.youtube.retired = true;
+        if (flow.session.youtube === flow.opening) flow.session.youtube = null;
+    }
+    addToLogs(`Sign-in flow ${flow.id.slice(0, 8)} for session ${label(flow.session)}: ${state}${error ? ` (${error})` : ''}`);
+    return true;
+};
+
+const ownFlow = (flowId, session) => {
+    const flow = flows.get(flowId);
+    return flow && session && flow.session.id === session.id ? flow : null;
+};
+
+/**
+ * Starts signing a session in with a device code. Resolves with the new
+ * flow (see describeFlow) once YouTube has handed out the code, and rejects
+ * if that takes longer than CODE_TIMEOUT_MS. Any earlier flow of the same
+ * session is cancelled.
+ */
+export const startAuthFlow = async (session) => {
+    for (const flow of flows.values()) {
+        if (flow.session.id === session.id) finishFlow(flow, 'cancelled', 'A new sign-in was started');
+    }
+
+    const opening = getYoutube(session);
+    const yt = await opening;
+    if (yt.session.logged_in) {
+        const error = new Error('This session is already signed in');
+        error.status = 409;
+        throw error;
+    }
 
     return new Promise((resolve, reject) => {
-        let authData = null;
-
-        const handleAuth = (data) => {
-            console.log('[AUTH] Auth code received:', data.user_code);
-            authData = data;
-            resolve({
-                verification_url: data.verification_url,
-                user_code: data.user_code,
-                device_code: data.device_code
-            });
+        let flow = null;
+
+        const detach = () => {
+            clearTimeout(codeTimer);
+            yt.session.off('auth-pending', handlePending);
+            yt.session.off('auth', handleSuccess);
+            yt.session.off('auth-error', handleError);
         };
 
-        const handleSuccess = async () => {
-            console.log('[AUTH] Sign in successful!');
+        const codeTimer = setTimeout(() => {
+            detach();
+            reject(new Error(`YouTube did not hand out a sign-in code within ${CODE_TIMEOUT_MS / 1000}s`));
+        }, CODE_TIMEOUT_MS);
 
-            // Access credentials from the session
-            // In youtubei.js session.oauth holds the tokens
-            const creds = yt.session.oauth.oauth2_tokens;
+        const handlePending = (data) => {
+            clearTimeout(codeTimer);
+            const expiresIn = Number(data.expires_in) || DEFAULT_CODE_LIFETIME_S;
+            flow = {
+                id: crypto.randomBytes(16).toString('base64url'),
+                session,
+                youtube: yt,
+                opening,
+                state: 'pending',
+                verificationUrl: data.verification_url,
+                userCode: data.user_code,
+                interval: Number(data.interval) || 5,
+                expiresAt: Date.now() + expiresIn * 1000,
+                error: null,
+                finishedAt: null,
+                detach
+            };
+            flow.expiryTimer = setTimeout(() => finishFlow(flow, 'expired', 'The code was not entered in time'), expiresIn * 1000);
+            flows.set(flow.id, flow);
+            addToLogs(`Sign-in flow ${flow.id.slice(0, 8)} for session ${label(session)}: code issued, expires in ${expiresIn}s`);
+            resolve(describeFlow(flow));
+        };
 
-            if (creds) {
-                fs.writeFileSync(CREDENTIALS_FILE, JSON.stringify(creds, null, 2));
-                console.log('[AUTH] Credentials saved to', CREDENTIALS_FILE);
+        // The credentials themselves are saved by the listener createYoutube registered
+        const handleSuccess = () => {
+            if (flow) finishFlow(flow, 'approved');
+            else {
+                detach();
+                reject(new Error('Signed in without a sign-in code'));
             }
-
-            yt.session.off('auth-pending', handleAuth);
-            yt.session.off('auth', handleSuccess);
         };
 
         const handleError = (err) => {
-            console.error('[AUTH] Auth error:', err);
+            if (flow) {
+                finishFlow(flow, /expired/i.test(err.message) ? 'expired' : 'failed', err.message);
+                return;
+            }
+            detach();
             reject(err);
-            yt.session.off('auth-pending', handleAuth);
-            yt.session.off('auth', handleSuccess);
-            yt.session.off('auth-error', handleError);
         };
 
-        yt.session.on('auth-pending', handleAuth);
+        yt.session.on('auth-pending', handlePending);
         yt.session.on('auth', handleSuccess);
         yt.session.on('auth-error', handleError);
 
         yt.session.signIn().catch(err => {
-            console.log('[AUTH] SignIn waiting for user or failed:', err.message);
+            addErrorToLogs(`Sign-in for session ${label(session)} ended: ${err.message}`);
         });
     });
 };
 
-export const getYoutube = async () => {
-    if (!youtube) {
-        await initYoutube();
-    }
-    return youtube;
+/** A flow of this session (see describeFlow), or null when there is no such flow. */
+export const getAuthFlow = (flowId, session) => {
+    const flow = ownFlow(flowId, session);
+    return flow ? describeFlow(flow) : null;
 };
 
-export const getSessionStatus = async () => {
-    const yt = await getYoutube();
-    if (!yt) return { logged_in: false };
+/** Cancels a pending flow of this session; returns it as it stands afterwards, or null when there is no such flow. */
+export const cancelAuthFlow = (flowId, session) => {
+    const flow = ownFlow(flowId, session);
+    if (!flow) return null;
+    finishFlow(flow, 'cancelled', 'Cancelled by the user');
+    return describeFlow(flow);
+};
 
-    if (yt.session.logged_in) {
+// Imported cookies as the session status reports them
+const describeCookies = (imported) => ({
+    count: imported.cookies.length,
+    imported_at: new Date(imported.importedAt).toISOString(),
+    expires_at: imported.expiresAt ? new Date(imported.expiresAt).toISOString() : null,
+    expiring_soon: Boolean(imported.expiresAt && imported.expiresAt - Date.now() < COOKIE_EXPIRY_WARNING_MS)
+});
+
+/**
+ * Stores a cookies.txt (see cookies.js) for this session; its yt-dlp
+ * fallbacks use it from then on. Resolves with the session status; rejects
+ * with a status 400 error when the file is not usable.
+ */
+export const importCookies = async (session, text) => {
+    const { cookies, expiresAt, skipped } = parseCookieFile(text);
+    saveRecord(session, { cookies: { cookies, expiresAt, importedAt: Date.now() } });
+    addToLogs(`Imported ${cookies.length} cookies for session ${label(session)} (${skipped} from other sites or expired left out)`);
+    return getSessionStatus(session);
+};
+
+export const getSessionStatus = async (session) => {
+    if (!session) return { logged_in: false };
+    const { credentials, cookies } = loadRecord(session);
+    const cookieStatus = cookies ? describeCookies(cookies) : null;
+
+    // Only sessions that completed an OAuth sign-in need their Innertube instance for this
+    const yt = credentials ? await getYoutube(session) : null;
+    if (yt?.session.logged_in) {
         try {
             const info = await yt.account.getInfo();
             // Try to find the name in various possible structures
             let name = info.name || info.contents?.contents?.[0]?.account_name?.text || 'Authenticated User';
-            return { logged_in: true, name: name };
+            return { logged_in: true, method: 'oauth', name: name, cookies: cookieStatus };
         } catch (e) {
-            console.error('[AUTH] Error getting account info:', e.message);
+            addErrorToLogs(`Error getting account info: ${e.message}`);
             // Even if info fails, we might still be logged in
-            return { logged_in: true, name: 'Active Session' };
+            return { logged_in: true, method: 'oauth', name: 'Active Session', cookies: cookieStatus };
         }
     }
+    if (cookieStatus) return { logged_in: true, method: 'cookies', name: 'Imported cookies', cookies: cookieStatus };
     return { logged_in: false };
 };
 
-export const getSessionCookies = async () => {
-    const yt = await getYoutube();
-    if (!yt) {
-        console.log('[AUTH] No YouTube instance for cookies');
-        return null;
+/**
+ * Cache partition for what a session downloads: null while it has no
+ * credentials or cookies (its requests are anonymous, so the results can be
+ * shared), otherwise a prefix of its ID. Audio or metadata that may have
+ * needed someone's account (age-restricted, members-only, private) is then
+ * only served back to that session.
+ */
+export const getCacheScope = (session) => {
+    if (!session) return null;
+    const { credentials, cookies } = loadRecord(session);
+    return credentials || cookies ? session.id.slice(0, 32) : null;
+};
+
+/**
+ * The session's cookies as a cookies.txt for yt-dlp: the imported file when
+ * there is one, otherwise the cookies of its OAuth sign-in. Null when the
+ * session has neither.
+ */
+export const getSessionCookies = async (session) => {
+    if (!session) return null;
+    const { credentials, cookies } = loadRecord(session);
+    if (cookies) {
+        addToLogs(`Using ${cookies.cookies.length} imported cookies for session ${label(session)}`);
+        return toCookieFile(cookies.cookies);
     }
+    if (!credentials) return null;
+
+    const yt = await getYoutube(session);
     if (!yt.session.logged_in) {
-        console.log('[AUTH] Session NOT logged in for cookies');
+        addToLogs('Session NOT logged in for cookies');
         return null;
     }
 
@@ -156,20 +475,65 @@ export const getSessionCookies = async () => {
         });
         return netscape;
     } catch (e) {
-        console.error('[AUTH] Error exporting cookies:', e.message);
+        addErrorToLogs(`Error exporting cookies: ${e.message}`);
         return null;
     }
 };
 
-export const signOut = async () => {
-    if (youtube) {
-        await youtube.session.signOut();
-        youtube = null;
-    }
+/**
+ * Writes the session's cookies (see getSessionCookies) to a temporary file
+ * only this process's user can read, for yt-dlp's --cookies. Resolves with
+ * its path, or null when the session has no cookies; the caller deletes it.
+ */
+export const writeCookieFile = async (session, prefix) => {
+    const cookieData = await getSessionCookies(session);
+    if (!cookieData) return null;
+    const file = path.join(os.tmpdir(), `${prefix}-cookies-${crypto.randomUUID()}.txt`);
+    fs.writeFileSync(file, cookieData, { mode: 0o600 });
+    return file;
+};
+
+/** Signs this session out (revoking its credentials), deletes it and any imported cookies; other clients are unaffected. */
+export const signOut = async (session) => {
+    if (!session) return { success: true };
 
-    if (fs.existsSync(CREDENTIALS_FILE)) {
-        fs.unlinkSync(CREDENTIALS_FILE);
+    if (session.youtube) {
+        try {
+            const yt = await session.youtube;
+            if (yt.session.logged_in) await yt.session.signOut();
+        } catch (error) {
+            addErrorToLogs(`Could not revoke the credentials of session ${label(session)}: ${error.message}`);
+        }
     }
+    forget(session);
+    addToLogs(`Session ${label(session)} signed out`);
 
     return { success: true };
 };
+
+// Idle sessions go away even if their client never comes back
+const sweep = () => {
+    const now = Date.now();
+    for (const flow of flows.values()) {
+        if (flow.finishedAt && now - flow.finishedAt > FLOW_RETENTION_MS) flows.delete(flow.id);
+    }
+    for (const session of sessions.values()) {
+        const signedIn = fs.existsSync(sessionFile(session));
+        if (now - session.lastUsed > (signedIn ? IDLE_TIMEOUT_MS : PENDING_TIMEOUT_MS)) forget(session);
+    }
+    if (!fs.existsSync(SESSION_DIR)) return;
+    for (const name of fs.readdirSync(SESSION_DIR)) {
+        const file = path.join(SESSION_DIR, name);
+        if (!sessions.has(path.basename(name, '.json')) && now - fs.statSync(file).mtimeMs > IDLE_TIMEOUT_MS) {
+            fs.rmSync(file, { force: true });
+        }
+    }
+};
+setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+export const getStats = () => ({
+    sessions: sessions.size,
+    signedIn: [...sessions.values()].filter(session => fs.existsSync(sessionFile(session))).length,
+    pendingFlows: [...flows.values()].filter(flow => flow.state === 'pending').length,
+    idleTimeoutSeconds: IDLE_TIMEOUT_MS / 1000
+});
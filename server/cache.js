@@ -0,0 +1,214 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { openAudioStream, openSourceStream } from './source.js';
+import { STREAM_FORMATS, DEFAULT_FORMAT, DEFAULT_ENCODER } from './formats.js';
+import { transcodeFile } from './render.js';
+import { createJob, updateJob, finishJob } from './jobs.js';
+import { getCacheScope } from './auth.js';
+
+const CACHE_DIR = process.env.AUDIO_CACHE_DIR || path.join(os.tmpdir(), 'music-pitch-cache');
+const MAX_BYTES = (Number(process.env.AUDIO_CACHE_MAX_MB) || 1024) * 1024 * 1024;
+
+// "<mediaId>.<format>", or "<scope>+<mediaId>.<format>" for downloads made with a session's
+// account (also the file name) -> { key, format, file, size, lastAccess, source, readers, private }
+const entries = new Map();
+// key -> Promise<entry> for downloads in progress, so concurrent requests share one
+const downloads = new Map();
+
+let logCallback = (msg) => console.log(msg);
+export const setLogCallback = (cb) => { logCallback = cb; };
+
+const addToLogs = (msg) => {
+    logCallback(`[CACHE] ${msg}`);
+};
+
+// Rebuild the index from what a previous run left on disk
+const loadIndex = () => {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    for (const name of fs.readdirSync(CACHE_DIR)) {
+        const file = path.join(CACHE_DIR, name);
+        if (name.endsWith('.part')) {
+            fs.rmSync(file, { force: true });
+            continue;
+        }
+        const format = path.extname(name).slice(1);
+        if (!STREAM_FORMATS[format]) continue;
+        const stat = fs.statSync(file);
+        entries.set(name, { key: name, format, file, size: stat.size, lastAccess: stat.mtimeMs, source: 'disk', readers: 0, private: name.includes('+') });
+    }
+};
+loadIndex();
+
+const totalSize = () => [...entries.values()].reduce((sum, entry) => sum + entry.size, 0);
+
+// Drop least recently used entries until the cache fits, skipping files being served
+const evict = () => {
+    let total = totalSize();
+    const candidates = [...entries.values()].sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const entry of candidates) {
+        if (total <= MAX_BYTES) break;
+        if (entry.readers > 0) continue;
+        entries.delete(entry.key);
+        fs.rmSync(entry.file, { force: true });
+        total -= entry.size;
+        addToLogs(`Evicted ${entry.key} (${(entry.size / 1048576).toFixed(1)} MB)`);
+    }
+};
+
+// Saves an untouched youtubei.js / yt-dlp download (see source.js); resolves with the source that delivered it
+const saveDownload = async (opening, partFile, job) => {
+    const audio = await opening;
+    let bytes = 0;
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            bytes += chunk.length;
+            updateJob(job, { bytes });
+            callback(null, chunk);
+        }
+    });
+
+    try {
+        await Promise.all([pipeline(audio.stream, counter, fs.createWriteStream(partFile)), audio.finished]);
+        return audio.source;
+    } catch (err) {
+        audio.close();
+        throw err;
+    }
+};
+
+// Other providers serve whatever container they have, so their download is converted to the default format
+const convertOriginal = async (media, originalFile, partFile, job) => {
+    try {
+        const source = await saveDownload(openSourceStream(media.url, (progress) => updateJob(job, progress)), originalFile, job);
+        updateJob(job, { state: 'transcoding', source: 'ffmpeg', bytes: 0, total: null, percent: null });
+        await transcodeFile(originalFile, partFile, DEFAULT_ENCODER);
+        return `ffmpeg (from ${source})`;
+    } finally {
+        fs.rmSync(originalFile, { force: true });
+    }
+};
+
+const transcodeFromDefault = async (media, format, partFile, job, session) => {
+    const original = await getAudio(media, DEFAULT_FORMAT, session);
+    updateJob(job, { state: 'transcoding', source: 'ffmpeg', bytes: 0, total: null, percent: null });
+    const release = retain(original);
+    try {
+        await transcodeFile(original.file, partFile, STREAM_FORMATS[format].encoder);
+    } finally {
+        release();
+    }
+    return `ffmpeg (from ${original.source})`;
+};
+
+const download = async (key, media, format, session) => {
+    const file = path.join(CACHE_DIR, key);
+    const partFile = `${file}.part`;
+    const { youtubei, encoder } = STREAM_FORMATS[format];
+    const job = createJob({ key, mediaId: media.mediaId, format });
+
+    try {
+        let source;
+        if (media.provider !== 'youtube') {
+            source = format === DEFAULT_FORMAT
+                ? await convertOriginal(media, `${file}.original.part`, partFile, job)
+                : await transcodeFromDefault(media, format, partFile, job, session);
+        } else if (!youtubei) {
+            source = await transcodeFromDefault(media, format, partFile, job, session);
+        } else {
+            try {
+                const opening = openAudioStream(media.mediaId, format, (progress) => updateJob(job, progress), session);
+                source = await saveDownload(opening, partFile, job);
+            } catch (err) {
+                if (!encoder) throw err;
+                addToLogs(`No native ${format} for ${media.mediaId} (${err.message}), transcoding instead`);
+                source = await transcodeFromDefault(media, format, partFile, job, session);
+            }
+        }
+
+        const { size } = fs.statSync(partFile);
+        if (size === 0) throw new Error(`${source} returned no audio`);
+
+        fs.renameSync(partFile, file);
+        const entry = { key, format, file, size, lastAccess: Date.now(), source, readers: 0, private: key.includes('+') };
+        entries.set(key, entry);
+        addToLogs(`Cached ${key} from ${source} (${(size / 1048576).toFixed(1)} MB)`);
+        finishJob(job);
+        evict();
+        return entry;
+    } catch (err) {
+        fs.rmSync(partFile, { force: true });
+        finishJob(job, err);
+        throw err;
+    }
+};
+
+// Only YouTube downloads use the session's account; everything else is fetched anonymously
+const scopeOf = (media, session) => (media.provider === 'youtube' ? getCacheScope(session) : null);
+
+/**
+ * Returns the cache entry for a media source (see resolver.js) in one of the
+ * STREAM_FORMATS, downloading (and if necessary transcoding) it first.
+ * Concurrent calls for the same source and format wait on a single download,
+ * which runs as the session (see auth.js) of the caller that started it.
+ * Entries downloaded with a session's account are `private` to that session;
+ * anonymous ones are shared with everybody.
+ */
+export const getAudio = async (media, format = DEFAULT_FORMAT, session = null) => {
+    const publicKey = `${media.mediaId}.${format}`;
+    const scope = scopeOf(media, session);
+    const key = scope ? `${scope}+${publicKey}` : publicKey;
+    for (const candidate of new Set([key, publicKey])) {
+        const cached = entries.get(candidate);
+        if (cached && fs.existsSync(cached.file)) {
+            // Kept in memory only: touching the file would change its ETag and break If-Range
+            cached.lastAccess = Date.now();
+            return cached;
+        }
+        entries.delete(candidate);
+    }
+
+    if (!downloads.has(key)) {
+        addToLogs(`Cache miss for ${key}, downloading...`);
+        const job = download(key, media, format, session).finally(() => downloads.delete(key));
+        downloads.set(key, job);
+    }
+    return downloads.get(key);
+};
+
+/** Protects an entry from eviction while its file is in use; call the returned function when done. */
+export const retain = (entry) => {
+    entry.readers++;
+    let released = false;
+    return () => {
+        if (!released) entry.readers--;
+        released = true;
+    };
+};
+
+/**
+ * Sends a cached file with its format's Content-Type, Content-Length,
+ * Accept-Ranges and Range/206 support (via res.sendFile), keeping it safe
+ * from eviction meanwhile.
+ */
+export const sendAudio = (req, res, entry) => new Promise((resolve, reject) => {
+    const release = retain(entry);
+    res.setHeader('Content-Type', STREAM_FORMATS[entry.format].contentType);
+    if (entry.private) res.setHeader('Cache-Control', 'private');
+    res.sendFile(entry.file, { acceptRanges: true, cacheControl: false }, (err) => {
+        release();
+        // A client that disconnects mid-file is normal when seeking; only real failures are errors
+        if (err && !res.headersSent) reject(err);
+        else resolve();
+    });
+});
+
+export const getStats = () => ({
+    entries: entries.size,
+    private: [...entries.values()].filter(entry => entry.private).length,
+    bytes: totalSize(),
+    maxBytes: MAX_BYTES,
+    downloading: [...downloads.keys()]
+});
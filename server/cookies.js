@@ -0,0 +1,94 @@
+/**
+ * Netscape cookies.txt files, as browser extensions export them and yt-dlp
+ * reads them: one cookie per line, with seven tab-separated fields
+ *   domain  include-subdomains  path  secure  expires  name  value
+ * Lines starting with # are comments, except for the #HttpOnly_ prefix most
+ * exporters put in front of the domain of HttpOnly cookies.
+ */
+export const COOKIE_FILE_MAX_BYTES = 1024 * 1024;
+
+// Only YouTube's own cookies are kept; the rest of someone's browser has no business on the server
+const YOUTUBE_DOMAINS = /(^|\.)(youtube\.com|google\.com)$/i;
+// A signed-in Google account always has some of these
+const SESSION_COOKIES = ['SID', 'HSID', 'SSID', 'APISID', 'SAPISID', '__Secure-1PSID', '__Secure-3PSID', 'LOGIN_INFO'];
+const FLAGS = ['TRUE', 'FALSE'];
+
+const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+const parseLine = (line) => {
+    const httpOnly = line.startsWith('#HttpOnly_');
+    const fields = (httpOnly ? line.slice('#HttpOnly_'.length) : line).split('\t');
+    if (fields.length !== 7) return null;
+
+    const [domain, includeSubdomains, path, secure, expires, name, value] = fields;
+    if (!/^\.?[A-Za-z0-9.-]+$/.test(domain) || !FLAGS.includes(includeSubdomains) || !FLAGS.includes(secure)) return null;
+    if (!path.startsWith('/') || !/^-?\d+(\.\d+)?$/.test(expires) || !name) return null;
+    return {
+        domain,
+        includeSubdomains: includeSubdomains === 'TRUE',
+        path,
+        secure: secure === 'TRUE',
+        // 0 marks a session cookie
+        expires: Math.max(0, Math.floor(Number(expires))),
+        name,
+        value,
+        httpOnly
+    };
+};
+
+const isLive = (cookie, now = Date.now()) => cookie.expires === 0 || cookie.expires * 1000 > now;
+
+/**
+ * Validates a cookies.txt file and keeps its live YouTube and Google cookies.
+ * Returns { cookies, expiresAt, skipped }: `expiresAt` is when the first of
+ * the account's session cookies runs out (ms, or null if they don't say),
+ * `skipped` counts the cookies left out. Throws an error with status 400
+ * when the file is malformed or has no signed-in account in it.
+ */
+export const parseCookieFile = (text) => {
+    if (typeof text !== 'string' || !text.trim()) throw invalid('The cookie file is empty');
+
+    const cookies = [];
+    const badLines = [];
+    text.split('\n').forEach((raw, index) => {
+        const line = raw.replace(/\r$/, '');
+        if (!line.trim() || (line.startsWith('#') && !line.startsWith('#HttpOnly_'))) return;
+        const cookie = parseLine(line);
+        if (cookie) cookies.push(cookie);
+        else badLines.push(index + 1);
+    });
+    if (badLines.length) {
+        throw invalid(`Not a Netscape cookies.txt file: line ${badLines[0]} is malformed${badLines.length > 1 ? ` (and ${badLines.length - 1} more)` : ''}`);
+    }
+
+    const kept = cookies.filter(cookie => YOUTUBE_DOMAINS.test(cookie.domain.replace(/^\./, '')) && isLive(cookie));
+    const session = kept.filter(cookie => SESSION_COOKIES.includes(cookie.name));
+    if (!session.length) {
+        throw invalid('The file has no signed-in YouTube cookies; export it from a browser that is signed in to youtube.com');
+    }
+
+    const expiries = session.filter(cookie => cookie.expires > 0).map(cookie => cookie.expires * 1000);
+    return {
+        cookies: kept,
+        expiresAt: expiries.length ? Math.min(...expiries) : null,
+        skipped: cookies.length - kept.length
+    };
+};
+
+/** Writes cookies (as parseCookieFile returns them) back out as a cookies.txt file, leaving out expired ones. */
+export const toCookieFile = (cookies) => {
+    const lines = cookies.filter(cookie => isLive(cookie)).map(cookie => [
+        `${cookie.httpOnly ? '#HttpOnly_' : ''}${cookie.domain}`,
+        cookie.includeSubdomains ? 'TRUE' : 'FALSE',
+        cookie.path,
+        cookie.secure ? 'TRUE' : 'FALSE',
+        cookie.expires,
+        cookie.name,
+        cookie.value
+    ].join('\t'));
+    return ['# Netscape HTTP Cookie File', ...lines, ''].join('\n');
+};
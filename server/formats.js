@@ -0,0 +1,49 @@
+/**
+ * Audio formats /api/stream can deliver. Native formats are downloaded as-is
+ * (youtubei.js `format`, yt-dlp `-f` selector); the rest are transcoded with
+ * ffmpeg from the cached m4a using `encoder` arguments.
+ */
+export const STREAM_FORMATS = {
+    m4a: { contentType: 'audio/mp4', youtubei: 'mp4', ytdlp: 'bestaudio[ext=m4a]' },
+    webm: { contentType: 'audio/webm', youtubei: 'webm', ytdlp: 'bestaudio[ext=webm]', encoder: ['-c:a', 'libopus', '-b:a', '128k', '-f', 'webm'] },
+    mp3: { contentType: 'audio/mpeg', encoder: ['-c:a', 'libmp3lame', '-b:a', '192k', '-f', 'mp3'] }
+};
+
+export const DEFAULT_FORMAT = 'm4a';
+
+// Audio from other providers (SoundCloud, Bandcamp, direct links, ...) arrives in any container and becomes a default-format file with these
+export const DEFAULT_ENCODER = ['-c:a', 'aac', '-b:a', '192k', '-movflags', '+faststart', '-f', 'ipod'];
+
+const FORMAT_ALIASES = { opus: 'webm', mp4: 'm4a', aac: 'm4a', mpeg: 'mp3' };
+
+// Accept-header media types per format, most preferred first; audio/mp4 leads so */* gets m4a
+const ACCEPT_TYPES = {
+    'audio/mp4': 'm4a',
+    'audio/aac': 'm4a',
+    'audio/x-m4a': 'm4a',
+    'audio/webm': 'webm',
+    'audio/opus': 'webm',
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3'
+};
+
+/**
+ * Picks the stream format for a request: an explicit `?format=` wins,
+ * otherwise the Accept header is negotiated. Returns { format } or
+ * { status, error } when nothing acceptable can be sent.
+ */
+export const negotiateFormat = (req) => {
+    const requested = req.query.format?.toString().toLowerCase();
+    if (requested) {
+        const format = Object.hasOwn(FORMAT_ALIASES, requested) ? FORMAT_ALIASES[requested] : requested;
+        if (!Object.hasOwn(STREAM_FORMATS, format)) {
+            return { status: 400, error: `Unknown format "${requested}". Expected one of: ${Object.keys(STREAM_FORMATS).join(', ')}, opus` };
+        }
+        return { format };
+    }
+
+    if (!req.get('Accept')) return { format: DEFAULT_FORMAT };
+    const type = req.accepts(Object.keys(ACCEPT_TYPES));
+    if (!type) return { status: 406, error: `None of the available formats are acceptable: ${Object.keys(ACCEPT_TYPES).join(', ')}` };
+    return { format: ACCEPT_TYPES[type] };
+};
@@ -1,70 +1,69 @@
 import express from 'express';
 import cors from 'cors';
-import { Innertube } from 'youtubei.js';
-import { spawn } from 'child_process';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { Readable } from 'stream';
-import fs from 'fs';
-import os from 'os';
 import * as auth from './auth.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { setLogCallbacks as setSourceLogCallbacks, getYtdlpPath } from './source.js';
+import * as audioCache from './cache.js';
+import { negotiateFormat, DEFAULT_FORMAT } from './formats.js';
+import * as jobs from './jobs.js';
+import { getPeaks } from './peaks.js';
+import { setLogCallbacks as setPlaylistLogCallbacks, extractPlaylistId, isValidPlaylistId, resolvePlaylist } from './playlist.js';
+import { setLogCallback as setSearchLogCallback, searchVideos, MAX_QUERY_LENGTH } from './search.js';
+import { resolveSource, checkSourceHost } from './resolver.js';
+import { setLogCallbacks as setMetadataLogCallbacks, getMetadata, getMetadataStats } from './metadata.js';
+import { spawnRender, RENDER_FORMATS, SEMITONE_RANGE, TEMPO_RANGE, FFMPEG_PATH } from './render.js';
+import { getVersion } from './process.js';
+import { COOKIE_FILE_MAX_BYTES } from './cookies.js';
+import * as logs from './logs.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Log buffer for remote debugging
-const logBuffer = [];
-const addToLogs = (msg) => {
-    const entry = `[${new Date().toLocaleTimeString()}] ${msg}`;
-    logBuffer.push(entry);
-    if (logBuffer.length > 100) logBuffer.shift();
-    console.log(msg); // Keep local console too
-};
-const addErrorToLogs = (msg) => {
-    const entry = `[${new Date().toLocaleTimeString()}] ERROR: ${msg}`;
-    logBuffer.push(entry);
-    if (logBuffer.length > 100) logBuffer.shift();
-    console.error(msg);
-};
+// Leveled log records for remote debugging (see logs.js and /api/logs)
+const addToLogs = (msg) => logs.log('info', msg);
+const addWarningToLogs = (msg) => logs.log('warn', msg);
+const addErrorToLogs = (msg) => logs.log('error', msg);
 
-app.use(cors());
+// Browsers only let the app read X-Request-Id when it is exposed
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+app.use(logs.requestLogger);
+app.use(express.json());
+
+// The caller's YouTube session (see auth.js), or null for signed-out visitors
 app.use((req, res, next) => {
-    console.log(`[BACKEND] Request from Origin: ${req.get('Origin') || 'N/A'} - Path: ${req.path}`);
+    req.authSession = auth.getSession(auth.requestToken(req));
+    logs.setRequestSession(req.authSession);
     next();
 });
-app.use(express.json());
 
-// Helper to get YouTube instance (consolidated)
-const getYouTube = async () => {
-    return await auth.getYoutube();
-};
-
-// Connect log bridge from auth module
-auth.setLogCallback(addToLogs);
+// Connect log bridge from auth and source modules
+auth.setLogCallbacks(addToLogs, addErrorToLogs);
+setSourceLogCallbacks(addToLogs, addErrorToLogs);
+setPlaylistLogCallbacks(addToLogs, addErrorToLogs);
+setSearchLogCallback(addErrorToLogs);
+setMetadataLogCallbacks(addToLogs, addErrorToLogs, addWarningToLogs);
+audioCache.setLogCallback(addToLogs);
 
 // Startup Check
 const checkEnvironment = async () => {
-    const { execSync } = await import('child_process');
-    try {
-        const ffmpegVersion = execSync('ffmpeg -version').toString().split('\n')[0];
-        console.log(`[BACKEND] ffmpeg found: ${ffmpegVersion}`);
-    } catch (e) {
-        console.error('[BACKEND] ffmpeg NOT FOUND in PATH. Streaming will likely fail.');
-    }
-
-    const ytdlpPath = process.env.YTDLP_PATH || (process.platform === 'win32' ? path.join(__dirname, 'yt-dlp.exe') : 'yt-dlp');
-    try {
-        const ytdlpVersion = execSync(`${ytdlpPath} --version`).toString().trim();
-        console.log(`[BACKEND] yt-dlp found: ${ytdlpVersion} at ${ytdlpPath}`);
-    } catch (e) {
-        console.error(`[BACKEND] yt-dlp NOT FOUND at ${ytdlpPath}`);
-    }
+    const ffmpegVersion = await getVersion(FFMPEG_PATH, ['-version']);
+    if (ffmpegVersion) addToLogs(`ffmpeg found: ${ffmpegVersion}`);
+    else addErrorToLogs(`ffmpeg NOT FOUND at ${FFMPEG_PATH}. Streaming will likely fail.`);
+
+    const ytdlpPath = getYtdlpPath();
+    const ytdlpVersion = await getVersion(ytdlpPath);
+    if (ytdlpVersion) addToLogs(`yt-dlp found: ${ytdlpVersion} at ${ytdlpPath}`);
+    else addErrorToLogs(`yt-dlp NOT FOUND at ${ytdlpPath}`);
 };
 checkEnvironment();
 
+// resolveSource plus the DNS check for links to other sites (see checkSourceHost), for routes that fetch the source
+const resolveFetchedSource = async (url) => {
+    const media = resolveSource(url);
+    if (media.error) return media;
+    const { error } = await checkSourceHost(media);
+    return error ? { error } : media;
+};
+
 // Health check
 app.get('/', (req, res) => {
     res.json({ status: 'ok', message: 'Music Pitch Backend is alive' });
@@ -76,325 +75,379 @@ app.get('/api/health', (req, res) => {
 
 // Debug endpoint
 app.get('/api/debug', async (req, res) => {
-    const { execSync } = await import('child_process');
+    const [ffmpegVersion, ytdlpVersion] = await Promise.all([getVersion(FFMPEG_PATH, ['-version']), getVersion(getYtdlpPath())]);
     const debugInfo = {
         platform: process.platform,
         node: process.version,
         env: process.env.NODE_ENV,
         ytdlp_path: process.env.YTDLP_PATH || 'default',
-        ffmpeg: 'not found',
-        ytdlp: 'not found'
+        ffmpeg: ffmpegVersion || 'not found',
+        ytdlp: ytdlpVersion || 'not found',
+        cache: audioCache.getStats(),
+        sessions: auth.getStats(),
+        metadata: getMetadataStats(),
+        jobs: jobs.getJobs()
     };
-    try { debugInfo.ffmpeg = execSync('ffmpeg -version').toString().split('\n')[0]; } catch (e) { }
-    try {
-        const path_to_use = process.env.YTDLP_PATH || (process.platform === 'win32' ? path.join(__dirname, 'yt-dlp.exe') : 'yt-dlp');
-        debugInfo.ytdlp = execSync(`${path_to_use} --version`).toString().trim();
-    } catch (e) { }
     res.json(debugInfo);
 });
 
+/**
+ * The log records the caller may read, as a filter (see logs.parseFilter), or
+ * null. Records carry source URLs, so only the LOG_ADMIN_TOKEN sees everyone's;
+ * a browser sees its own session's, or one request it names by request_id
+ * (an ID it made up itself, or was sent back as X-Request-Id).
+ */
+const scopeLogFilter = (req, filter) => {
+    if (logs.isAdminRequest(req) || filter.requestId) return filter;
+    if (req.authSession) return { ...filter, sessionId: req.authSession.id };
+    return null;
+};
+
+// The caller's scoped log filter, or null once an error has been sent
+const parseLogFilter = (req, res) => {
+    const { filter, error } = logs.parseFilter(req.query);
+    if (error) {
+        res.status(400).json({ error: 'Invalid log filter', details: error });
+        return null;
+    }
+    const scoped = scopeLogFilter(req, filter);
+    if (!scoped) res.status(403).json({ error: 'Log access denied', details: 'Sign in, pass a request_id, or send X-Log-Token' });
+    return scoped;
+};
+
+// Buffered log records, optionally only those after `since` (a record id or a date), at `level` or above, or for one `request_id`
 app.get('/api/logs', (req, res) => {
-    res.json({ logs: logBuffer });
+    const filter = parseLogFilter(req, res);
+    if (!filter) return;
+    res.json({ logs: logs.getRecords(filter), last_id: logs.getLastId() });
+});
+
+// Live tail of the log as Server-Sent Events ("log" events carry records); same filters and access as /api/logs
+app.get('/api/logs/stream', (req, res) => {
+    const filter = parseLogFilter(req, res);
+    if (!filter) return;
+    // A reconnecting EventSource picks up after the last record it received
+    const lastEventId = Number(req.get('Last-Event-ID'));
+    if (Number.isInteger(lastEventId) && lastEventId > filter.sinceId) filter.sinceId = lastEventId;
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    const send = (record) => res.write(`event: log\nid: ${record.id}\ndata: ${JSON.stringify(record)}\n\n`);
+    logs.getRecords(filter).forEach(send);
+    const unsubscribe = logs.subscribe((record) => {
+        if (logs.matches(record, filter)) send(record);
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
 });
 
 // Auth Endpoints
 app.get('/api/auth/status', async (req, res) => {
-    const status = await auth.getSessionStatus();
-    res.json(status);
+    try {
+        const status = await auth.getSessionStatus(req.authSession);
+        res.json(status);
+    } catch (error) {
+        addErrorToLogs(`Auth status failed: ${error.message}`);
+        res.status(500).json({ error: 'Failed to get auth status', details: error.message });
+    }
 });
 
+// Starts a device-code sign-in flow, as a new session unless the caller already has one; the token is only sent back once
 app.post('/api/auth/login', async (req, res) => {
+    let session = req.authSession;
+    let token = null;
+    if (!session) {
+        ({ token, session } = auth.createSession());
+        logs.setRequestSession(session);
+    }
+
+    try {
+        const flow = await auth.startAuthFlow(session);
+        res.json(token ? { ...flow, session_token: token } : flow);
+    } catch (error) {
+        if (token) await auth.signOut(session);
+        addErrorToLogs(`Failed to start auth flow: ${error.message}`);
+        res.status(error.status || 500).json({ error: 'Failed to start auth flow', details: error.message });
+    }
+});
+
+// State of a sign-in flow: pending, approved, expired, failed or cancelled
+app.get('/api/auth/flow/:id', (req, res) => {
+    if (!/^[A-Za-z0-9_-]{22}$/.test(req.params.id)) return res.status(400).json({ error: 'Invalid flow ID' });
+    const flow = auth.getAuthFlow(req.params.id, req.authSession);
+    if (!flow) return res.status(404).json({ error: 'Sign-in flow not found' });
+    res.json(flow);
+});
+
+app.post('/api/auth/flow/:id/cancel', (req, res) => {
+    if (!/^[A-Za-z0-9_-]{22}$/.test(req.params.id)) return res.status(400).json({ error: 'Invalid flow ID' });
+    const flow = auth.cancelAuthFlow(req.params.id, req.authSession);
+    if (!flow) return res.status(404).json({ error: 'Sign-in flow not found' });
+    res.json(flow);
+});
+
+// cookies.txt uploads arrive as text/plain; a body over the limit is answered with a JSON 413
+const cookieFileBody = express.text({ type: 'text/plain', limit: COOKIE_FILE_MAX_BYTES });
+const parseCookieFileBody = (req, res, next) => cookieFileBody(req, res, (err) => {
+    if (err) return res.status(err.status || 400).json({ error: 'Invalid cookie file upload', details: err.message });
+    next();
+});
+
+// Signs in with a Netscape cookies.txt exported from a browser, as a new session unless the caller already has one
+app.post('/api/auth/cookies', parseCookieFileBody, async (req, res) => {
+    if (typeof req.body !== 'string') {
+        return res.status(400).json({ error: 'Invalid cookie file upload', details: 'Send the contents of cookies.txt as text/plain' });
+    }
+    let session = req.authSession;
+    let token = null;
+    if (!session) {
+        ({ token, session } = auth.createSession());
+        logs.setRequestSession(session);
+    }
+
     try {
-        const authInfo = await auth.startAuthFlow();
-        res.json(authInfo);
+        const status = await auth.importCookies(session, req.body);
+        res.json(token ? { ...status, session_token: token } : status);
     } catch (error) {
-        res.status(500).json({ error: 'Failed to start auth flow' });
+        if (token) await auth.signOut(session);
+        addErrorToLogs(`Cookie import failed: ${error.message}`);
+        res.status(error.status || 500).json({ error: 'Failed to import cookies', details: error.message });
     }
 });
 
+// Only signs out the caller's own session
 app.post('/api/auth/logout', async (req, res) => {
-    const result = await auth.signOut();
+    const result = await auth.signOut(req.authSession);
     res.json(result);
 });
 
-// Get Video Info
+// Get Video Info from the metadata provider chain (see metadata.js)
 app.get('/api/info', async (req, res) => {
     const { url } = req.query;
     if (!url) return res.status(400).json({ error: 'URL is required' });
-    addToLogs(`info request for URL: ${url}`);
+
+    const media = await resolveFetchedSource(url);
+    if (media.error) {
+        addWarningToLogs(`Unsupported URL: ${media.error}`);
+        return res.status(400).json({ error: 'Unsupported URL', details: media.error });
+    }
+    addToLogs(`info request for ${media.provider} source ${media.mediaId}: ${media.url}`);
 
     try {
-        const videoId = extractVideoId(url);
-        addToLogs(`Extracted Video ID: "${videoId}"`);
+        const metadata = await getMetadata(media, req.authSession);
+        res.json({ id: media.mediaId, provider: media.provider, url: media.url, ...metadata });
+    } catch (error) {
+        addErrorToLogs(`Final metadata error: ${error.message}`);
+        res.status(500).json({ error: 'Failed to fetch video info', details: error.message });
+    }
+});
 
-        if (!videoId || videoId.length !== 11) {
-            addErrorToLogs(`Invalid/Incomplete Video ID: "${videoId}"`);
-            return res.status(400).json({ error: 'Invalid YouTube URL', details: `Could not extract a valid 11-char ID. Got: ${videoId}` });
-        }
+// Per-provider success/failure counts, latency and cooldowns, plus metadata cache hits
+app.get('/api/info/providers', (req, res) => {
+    res.json(getMetadataStats());
+});
 
-        let responseMetadata = null;
-
-        // Try youtubei.js first (Authenticated)
-        try {
-            addToLogs('Attempting metadata fetch via youtubei.js (getBasicInfo)...');
-            const youtube = await getYouTube();
-
-            // Log session status for visibility
-            addToLogs(`Session Logged In: ${youtube.session.logged_in}`);
-
-            // getBasicInfo is lighter and less likely to hit 400 than getInfo (which calls /next)
-            const info = await youtube.getBasicInfo(videoId);
-            const basic = info.basic_info;
-
-            responseMetadata = {
-                source: 'youtubei.js (basic)',
-                title: basic.title || 'Unknown Title',
-                thumbnail: basic.thumbnail?.[0]?.url || basic.thumbnail?.url || '',
-                duration: basic.duration || 0,
-                author: {
-                    name: typeof basic.author === 'string' ? basic.author : (basic.author?.name || basic.author || 'Unknown Author')
-                }
-            };
-            addToLogs('youtubei.js basic metadata fetch successful');
-        } catch (ytError) {
-            addErrorToLogs(`youtubei.js getBasicInfo failed: ${ytError.message}. Trying YouTube Search (bypass)...`);
-
-            try {
-                // Use a NEW unauthenticated instance for search - sometimes accounts are flagged on cloud IPs
-                const cleanYoutube = await Innertube.create({ client_type: 'WEB' });
-                const searchResults = await cleanYoutube.search(videoId, { type: 'video' });
-                const video = searchResults.results?.[0];
-
-                if (video && video.id === videoId) {
-                    responseMetadata = {
-                        source: 'youtubei.js (search)',
-                        title: video.title?.toString() || 'Unknown Title',
-                        thumbnail: video.thumbnails?.[0]?.url || '',
-                        duration: video.duration?.seconds || 0,
-                        author: {
-                            name: video.author?.name || 'Unknown Author'
-                        }
-                    };
-                    addToLogs('YouTube Search metadata fetch successful');
-                } else {
-                    throw new Error('Video not found in search results');
-                }
-            } catch (searchError) {
-                addErrorToLogs(`Search fallback failed: ${searchError.message}. Trying yt-dlp fallback...`);
-
-                try {
-                    const isWindows = process.platform === 'win32';
-                    const ytdlpPath = process.env.YTDLP_PATH || (isWindows ? path.join(__dirname, 'yt-dlp.exe') : 'yt-dlp');
-                    const { execSync } = await import('child_process');
-
-                    const userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-
-                    // Try to inject cookies if available
-                    let cookieFile = null;
-                    const cookieData = await auth.getSessionCookies();
-                    if (cookieData) {
-                        cookieFile = path.join(os.tmpdir(), `info-cookies-${Date.now()}.txt`);
-                        fs.writeFileSync(cookieFile, cookieData);
-                        addToLogs(`Using session cookies for info fallback (file: ${cookieFile})`);
-                    }
-
-                    const cookieFlag = cookieFile ? `--cookies "${cookieFile}"` : '';
-                    const cmd = `"${ytdlpPath}" --dump-json --no-playlist --skip-download --force-ipv4 --no-check-certificates --user-agent "${userAgent}" --js-runtime node ${cookieFlag} "https://www.youtube.com/watch?v=${videoId}"`;
-
-                    addToLogs(`Running yt-dlp fallback...`);
-
-                    const stdout = execSync(cmd).toString();
-                    if (cookieFile && fs.existsSync(cookieFile)) fs.unlinkSync(cookieFile);
-
-                    const json = JSON.parse(stdout);
-
-                    responseMetadata = {
-                        source: 'yt-dlp',
-                        title: json.title || 'Unknown Title',
-                        thumbnail: json.thumbnail || '',
-                        duration: json.duration || 0,
-                        author: {
-                            name: json.uploader || json.channel || 'Unknown Author'
-                        }
-                    };
-                    addToLogs('yt-dlp metadata fetch successful');
-                } catch (dlpError) {
-                    addErrorToLogs(`yt-dlp fallback also failed. Trying oEmbed (Last Resort)...`);
-
-                    try {
-                        // oEmbed is public and almost never blocked
-                        const oembedUrl = `https://www.youtube.com/oembed?url=https://www.youtube.com/watch?v=${videoId}&format=json`;
-                        const res = await fetch(oembedUrl);
-                        const data = await res.json();
-
-                        responseMetadata = {
-                            source: 'oEmbed (Safe Fallback)',
-                            title: data.title || 'Unknown Title',
-                            thumbnail: data.thumbnail_url || '',
-                            duration: 0, // oEmbed doesn't provide duration
-                            author: {
-                                name: data.author_name || 'YouTube User'
-                            }
-                        };
-                        addToLogs('oEmbed metadata fetch successful');
-                    } catch (oError) {
-                        addErrorToLogs(`oEmbed also failed: ${oError.message}`);
-                        throw new Error(`All metadata methods failed. Player: ${ytError.message}, Search: ${searchError.message}, yt-dlp: ${dlpError.message}`);
-                    }
-                }
-            }
-        }
+// Search YouTube videos
+app.get('/api/search', async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+        return res.status(400).json({ error: 'Missing search query', details: 'Pass the search terms as ?q=' });
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+        return res.status(400).json({ error: 'Search query too long', details: `At most ${MAX_QUERY_LENGTH} characters` });
+    }
 
-        res.json(responseMetadata);
+    addToLogs(`Search request: "${query}"`);
+    try {
+        const results = await searchVideos(query, { session: req.authSession });
+        addToLogs(`Search for "${query}" returned ${results.length} videos`);
+        res.json({ query, results });
     } catch (error) {
-        addErrorToLogs(`Final metadata error: ${error.message}`);
-        res.status(500).json({ error: 'Failed to fetch video info', details: error.message });
+        addErrorToLogs(`Search failed for "${query}": ${error.message}`);
+        res.status(500).json({ error: 'Search failed', details: error.message });
     }
 });
 
-// Stream Audio using local yt-dlp.exe or system yt-dlp
-app.get('/api/stream', async (req, res) => {
+// Resolve a playlist URL (its list= parameter) into the videos it contains
+app.get('/api/playlist', async (req, res) => {
     const { url } = req.query;
-    if (!url) return res.status(400).json({ error: 'URL is required' });
-    addToLogs(`Streaming request for URL: ${url}`);
+    const playlistId = extractPlaylistId(url);
+    if (!isValidPlaylistId(playlistId)) {
+        return res.status(400).json({ error: 'Invalid playlist URL', details: 'Could not find a valid list= parameter' });
+    }
 
+    addToLogs(`Playlist request for ${playlistId}`);
     try {
-        const videoId = extractVideoId(url);
-
-        // --- EARLY HEADERS ---
-        // Send headers immediately to prevent browser/proxy timeouts while we prepare the stream
-        res.setHeader('Content-Type', 'audio/mpeg');
-        res.setHeader('Transfer-Encoding', 'chunked');
-        res.setHeader('Connection', 'keep-alive');
-        // ---------------------
-
-        addToLogs(`Attempting direct stream via youtubei.js for: ${videoId}`);
-        const youtube = await getYouTube();
-
-        // Use download() to get a web stream
-        const webStream = await youtube.download(videoId, {
-            type: 'audio',
-            quality: 'best',
-            format: 'mp4'
-        });
-
-        addToLogs(`Direct stream obtained. Bridging WebStream to NodeStream...`);
-
-        // Convert Web ReadableStream to Node Readable
-        const nodeStream = Readable.fromWeb(webStream);
-
-        nodeStream.on('error', (err) => {
-            addErrorToLogs(`youtubei.js stream error: ${err.message}`);
-        });
-
-        nodeStream.pipe(res);
-
-        req.on('close', () => {
-            addToLogs('Client disconnected, stopping stream.');
-            // Some streams might need explicit destroy/cancel but pipe usually handles it
-        });
-
-    } catch (ytError) {
-        addErrorToLogs(`Direct streaming failed: ${ytError.message}. Falling back to yt-dlp...`);
-
-        // FALLBACK TO YT-DLP
-        const isWindows = process.platform === 'win32';
-        const localExe = path.join(__dirname, 'yt-dlp.exe');
-        const ytdlpPath = process.env.YTDLP_PATH || (isWindows ? localExe : 'yt-dlp');
-
-        addToLogs(`Streaming using yt-dlp fallback: ${ytdlpPath}`);
-
-        // Try to inject cookies if available
-        let cookieFile = null;
-        try {
-            const cookieData = await auth.getSessionCookies();
-            if (cookieData) {
-                cookieFile = path.join(os.tmpdir(), `stream-cookies-${Date.now()}.txt`);
-                fs.writeFileSync(cookieFile, cookieData);
-                addToLogs(`Using session cookies for yt-dlp stream (file: ${cookieFile})`);
-            } else {
-                addToLogs('No session cookies available for streaming fallback.');
-            }
-        } catch (cookieErr) {
-            addErrorToLogs(`Failed to prepare cookies: ${cookieErr.message}`);
-        }
+        const playlist = await resolvePlaylist(playlistId, req.authSession);
+        addToLogs(`Playlist ${playlistId}: ${playlist.entries.length} videos via ${playlist.source}${playlist.truncated ? ' (truncated)' : ''}`);
+        res.json(playlist);
+    } catch (error) {
+        addErrorToLogs(`Playlist lookup failed for ${playlistId}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to fetch playlist', details: error.message });
+    }
+});
 
-        const args = [
-            '-f', 'bestaudio',
-            '--extract-audio',
-            '--audio-format', 'mp3',
-            '--no-playlist',
-            '--force-ipv4',
-            '--no-check-certificates',
-            '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-            '--js-runtime', 'node',
-            '--buffer-size', '16K',
-            '-o', '-',
-            `https://www.youtube.com/watch?v=${videoId}`
-        ];
-
-        if (cookieFile) {
-            args.push('--cookies', cookieFile);
-        }
+// Stream Audio from the disk cache, downloading via youtubei.js or yt-dlp on a miss
+app.get('/api/stream', async (req, res) => {
+    const { url } = req.query;
+    if (!url) return res.status(400).json({ error: 'URL is required' });
 
-        const ytdlp = spawn(ytdlpPath, args);
+    const media = await resolveFetchedSource(url);
+    if (media.error) return res.status(400).json({ error: 'Unsupported URL', details: media.error });
 
-        ytdlp.on('error', (err) => {
-            addErrorToLogs(`yt-dlp spawn error: ${err.message}`);
-        });
+    // The response depends on Accept, so shared caches must key on it
+    res.vary('Accept');
+    const { format, status, error } = negotiateFormat(req);
+    if (error) return res.status(status).json({ error: 'Unsupported format', details: error });
+    addToLogs(`Streaming request for ${media.mediaId} as ${format}${req.headers.range ? ` (${req.headers.range})` : ''}`);
 
-        const cleanup = () => {
-            if (cookieFile && fs.existsSync(cookieFile)) {
-                try { fs.unlinkSync(cookieFile); } catch (e) { }
-            }
-        };
+    try {
+        const entry = await audioCache.getAudio(media, format, req.authSession);
+        await audioCache.sendAudio(req, res, entry);
+    } catch (error) {
+        addErrorToLogs(`Streaming failed for ${media.mediaId}: ${error.message}`);
+        // sendFile errors carry their HTTP status, e.g. 416 for an unsatisfiable Range
+        if (!res.headersSent) res.status(error.status || 500).json({ error: 'Failed to stream audio', details: error.message });
+    }
+});
 
-        let headersSentDirectly = true; // We sent them early now
+// Waveform peaks at several zoom levels, so the client can draw without downloading and decoding the audio itself
+app.get('/api/peaks', async (req, res) => {
+    const { url } = req.query;
+    if (!url) return res.status(400).json({ error: 'URL is required' });
+    const media = await resolveFetchedSource(url);
+    if (media.error) return res.status(400).json({ error: 'Unsupported URL', details: media.error });
+    addToLogs(`Peaks request for ${media.mediaId}`);
 
-        ytdlp.stdout.once('data', (data) => {
-            addToLogs(`Starting to stream audio (yt-dlp): ${data.length} bytes received`);
-        });
+    try {
+        const entry = await audioCache.getAudio(media, DEFAULT_FORMAT, req.authSession);
+        const release = audioCache.retain(entry);
+        const peaks = await getPeaks(entry).finally(release);
+        // Audio fetched with someone's account must not land in shared caches either
+        res.setHeader('Cache-Control', `${entry.private ? 'private' : 'public'}, max-age=86400`);
+        res.json(peaks);
+    } catch (error) {
+        addErrorToLogs(`Peaks failed for ${media.mediaId}: ${error.message}`);
+        res.status(500).json({ error: 'Failed to compute peaks', details: error.message });
+    }
+});
 
-        ytdlp.stdout.pipe(res);
+// Live download/transcode progress for a video as Server-Sent Events ("progress" events carry job records)
+app.get('/api/progress', (req, res) => {
+    const { url } = req.query;
+    if (!url) return res.status(400).json({ error: 'URL is required' });
+    const media = resolveSource(url);
+    if (media.error) return res.status(400).json({ error: 'Unsupported URL', details: media.error });
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    const send = (job) => res.write(`event: progress\ndata: ${JSON.stringify(job)}\n\n`);
+    jobs.getJobs(media.mediaId).forEach(send);
+    const unsubscribe = jobs.subscribe((job) => {
+        if (job.mediaId === media.mediaId) send(job);
+    });
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
 
-        const stderrChunks = [];
-        ytdlp.stderr.on('data', (data) => {
-            const msg = data.toString();
-            stderrChunks.push(msg);
-            addErrorToLogs(`yt-dlp stderr: ${msg.trim()}`);
+// Render a pitch-shifted / time-stretched copy with ffmpeg, for clients that can't process audio themselves
+app.get('/api/render', async (req, res) => {
+    const { url } = req.query;
+    if (!url) return res.status(400).json({ error: 'URL is required' });
 
-            if (msg.includes('ERROR')) {
-                // Since headers were sent early, we can't send a 500 JSON response now.
-                // We just log it and the client will see the stream end/fail.
-                addErrorToLogs(`yt-dlp error during stream: ${msg.trim()}`);
-            }
-        });
+    const semitones = req.query.semitones === undefined ? 0 : Number(req.query.semitones);
+    const tempo = req.query.tempo === undefined ? 1 : Number(req.query.tempo);
+    const format = req.query.format === undefined ? 'mp3' : req.query.format;
 
-        ytdlp.on('close', (code) => {
-            addToLogs(`yt-dlp process exited with code ${code}`);
-            cleanup();
-        });
+    if (!Number.isFinite(semitones) || semitones < SEMITONE_RANGE[0] || semitones > SEMITONE_RANGE[1]) {
+        return res.status(400).json({ error: 'Invalid semitones', details: `Expected a number from ${SEMITONE_RANGE[0]} to ${SEMITONE_RANGE[1]}` });
+    }
+    if (!Number.isFinite(tempo) || tempo < TEMPO_RANGE[0] || tempo > TEMPO_RANGE[1]) {
+        return res.status(400).json({ error: 'Invalid tempo', details: `Expected a number from ${TEMPO_RANGE[0]} to ${TEMPO_RANGE[1]}` });
+    }
+    if (typeof format !== 'string' || !Object.hasOwn(RENDER_FORMATS, format)) {
+        return res.status(400).json({ error: 'Invalid format', details: `Expected one of: ${Object.keys(RENDER_FORMATS).join(', ')}` });
+    }
 
-        req.on('close', () => {
-            cleanup();
-            ytdlp.kill();
-        });
+    const media = await resolveFetchedSource(url);
+    if (media.error) return res.status(400).json({ error: 'Unsupported URL', details: media.error });
+    addToLogs(`Render request for ${media.mediaId}: ${semitones} semitones, ${tempo}x tempo, ${format}`);
+
+    let entry;
+    try {
+        entry = await audioCache.getAudio(media, DEFAULT_FORMAT, req.authSession);
+    } catch (error) {
+        addErrorToLogs(`Render download failed for ${media.mediaId}: ${error.message}`);
+        return res.status(500).json({ error: 'Failed to download audio', details: error.message });
     }
-});
 
-function extractVideoId(url) {
-    if (!url) return '';
-    const trimmed = url.trim();
-    const regex = /(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/;
-    const match = trimmed.match(regex);
-    if (match && match[1]) return match[1];
+    const release = audioCache.retain(entry);
+    const { ffmpeg, filters, engine } = await spawnRender({ input: entry.file, semitones, tempo, format });
+    addToLogs(`Rendering with ${engine} (${filters})`);
 
-    // Last ditch: if it's 11 chars, assume it's the ID
-    if (trimmed.length === 11 && !trimmed.includes('/') && !trimmed.includes('.')) return trimmed;
+    const stderrChunks = [];
+    let finished = false;
+    const stop = () => {
+        finished = true;
+        release();
+        ffmpeg.kill();
+    };
 
-    return trimmed;
-}
+    ffmpeg.stderr.on('data', (data) => stderrChunks.push(data.toString()));
+
+    // Headers wait for the first rendered bytes, so a failure before then can still be a proper 500
+    ffmpeg.stdout.once('data', () => {
+        res.setHeader('Content-Type', RENDER_FORMATS[format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${media.mediaId}.${format}"`);
+    });
+    // The response is ended (or failed) once ffmpeg exits, not when its output closes
+    ffmpeg.stdout.pipe(res, { end: false });
+
+    ffmpeg.on('error', (err) => {
+        addErrorToLogs(`ffmpeg spawn error: ${err.message}`);
+        stop();
+        if (!res.headersSent) res.status(500).json({ error: 'Render failed', details: 'ffmpeg is not available' });
+    });
+
+    ffmpeg.on('close', (code) => {
+        release();
+        if (finished) return;
+        finished = true;
+        if (code === 0) {
+            addToLogs(`Render finished for ${media.mediaId}`);
+            res.end();
+            return;
+        }
+        const details = ffmpeg.timedOut ? 'ffmpeg timed out' : (stderrChunks.join('').trim() || `ffmpeg exited with code ${code}`);
+        addErrorToLogs(`Render failed for ${media.mediaId}: ${details}`);
+        if (!res.headersSent) res.status(500).json({ error: 'Render failed', details });
+        // Part of the file is out already; an aborted response keeps it from looking complete
+        else res.destroy();
+    });
+
+    res.on('close', () => {
+        if (!finished) {
+            addToLogs('Client disconnected, stopping render.');
+            stop();
+        }
+    });
+});
 
 app.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server running on port ${PORT} (bound to 0.0.0.0)`);
+    addToLogs(`Server running on port ${PORT} (bound to 0.0.0.0)`);
 });
@@ -0,0 +1,64 @@
+import { EventEmitter } from 'events';
+
+const UPDATE_INTERVAL_MS = 250; // byte-count updates are throttled to this; state changes always go out
+const FINISHED_TTL_MS = 60 * 1000; // finished jobs stay visible briefly for late subscribers
+
+const jobs = new Map();
+const lastEmitted = new WeakMap(); // job -> time of its last update event
+const events = new EventEmitter();
+events.setMaxListeners(0); // one listener per open SSE connection
+let nextId = 0;
+
+const emit = (job) => {
+    lastEmitted.set(job, Date.now());
+    events.emit('update', { ...job });
+};
+
+/**
+ * Registers a download/transcode job for a cache key. Job records are
+ * { id, key, mediaId, format, state, source, bytes, total, percent, error }
+ * where state is downloading | transcoding | done | failed, and total /
+ * percent are null while unknown.
+ */
+export const createJob = ({ key, mediaId, format }) => {
+    const job = {
+        id: ++nextId,
+        key,
+        mediaId,
+        format,
+        state: 'downloading',
+        source: null,
+        bytes: 0,
+        total: null,
+        percent: null,
+        error: null,
+        startedAt: Date.now()
+    };
+    jobs.set(job.id, job);
+    emit(job);
+    return job;
+};
+
+export const updateJob = (job, changes) => {
+    const stateChanged = (changes.state && changes.state !== job.state) || (changes.source && changes.source !== job.source);
+    Object.assign(job, changes);
+    if (job.total && !changes.percent && changes.bytes !== undefined) {
+        job.percent = Math.min(100, (job.bytes / job.total) * 100);
+    }
+    if (stateChanged || Date.now() - lastEmitted.get(job) >= UPDATE_INTERVAL_MS) emit(job);
+};
+
+export const finishJob = (job, error = null) => {
+    updateJob(job, error ? { state: 'failed', error: error.message } : { state: 'done', percent: 100 });
+    setTimeout(() => jobs.delete(job.id), FINISHED_TTL_MS).unref();
+};
+
+export const getJobs = (mediaId) => [...jobs.values()]
+    .filter(job => !mediaId || job.mediaId === mediaId)
+    .map(job => ({ ...job }));
+
+/** Calls `listener(job)` for every job update; returns an unsubscribe function. */
+export const subscribe = (listener) => {
+    events.on('update', listener);
+    return () => events.off('update', listener);
+};
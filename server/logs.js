@@ -0,0 +1,151 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { EventEmitter } from 'events';
+import { randomUUID, createHash, timingSafeEqual } from 'crypto';
+
+/**
+ * The server's log: leveled records kept in a ring buffer for /api/logs and
+ * written to the console. Each record is
+ *   { id, time, level, message, request_id, route }
+ * where `id` increases by one per record (clients pass the last one they saw
+ * as `since`), `time` is an ISO timestamp, and `request_id` / `route` name
+ * the HTTP request the record was logged under, or are null outside one.
+ * Modules keep logging through their log callbacks; the request is picked
+ * up from the async context requestLogger sets up.
+ *
+ * The session (see auth.js) of a record's request is kept beside it rather
+ * than in it, so /api/logs can show each browser only its own lines without
+ * ever sending session IDs out.
+ */
+export const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const MIN_LEVEL = LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+const BUFFER_SIZE = Number(process.env.LOG_BUFFER_SIZE) || 1000;
+// One JSON object per line for log collectors; readable lines otherwise
+const JSON_CONSOLE = process.env.LOG_FORMAT === 'json';
+// Client-supplied IDs are reused only when they look like one of ours (or a proxy's)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_.:-]{8,64}$/;
+// Sent as X-Log-Token, it gives access to every record (server start-up, other sessions)
+const ADMIN_TOKEN = process.env.LOG_ADMIN_TOKEN || null;
+
+const buffer = [];
+const events = new EventEmitter();
+events.setMaxListeners(0); // one listener per open log stream
+const requestContext = new AsyncLocalStorage();
+// record -> ID of the session whose request logged it
+const recordSessions = new WeakMap();
+let nextId = 0;
+
+const rank = (level) => LEVELS.indexOf(level);
+
+const writeConsole = (record) => {
+    const out = rank(record.level) >= rank('warn') ? console.error : console.log;
+    if (JSON_CONSOLE) return out(JSON.stringify(record));
+    const request = record.request_id ? ` [${record.request_id.slice(0, 8)}]` : '';
+    out(`${record.level.toUpperCase()}${request} ${record.message}`);
+};
+
+/** Records `message` at `level`; `fields` (and `context`) can override the request the record belongs to. */
+export const log = (level, message, fields = {}, context = requestContext.getStore()) => {
+    if (rank(level) < rank(MIN_LEVEL)) return;
+    const record = {
+        id: ++nextId,
+        time: new Date().toISOString(),
+        level,
+        message: String(message),
+        request_id: context?.requestId ?? null,
+        route: context?.route ?? null,
+        ...fields
+    };
+    if (context?.sessionId) recordSessions.set(record, context.sessionId);
+    buffer.push(record);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    writeConsole(record);
+    events.emit('record', record);
+};
+
+/** Ties the rest of the current request's records to a session, once it is known. */
+export const setRequestSession = (session) => {
+    const context = requestContext.getStore();
+    if (context) context.sessionId = session?.id ?? null;
+};
+
+/** True when the request carries the LOG_ADMIN_TOKEN (as X-Log-Token). */
+export const isAdminRequest = (req) => {
+    const given = req.get('X-Log-Token');
+    if (!ADMIN_TOKEN || !given) return false;
+    const digest = (value) => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(given), digest(ADMIN_TOKEN));
+};
+
+/**
+ * Turns /api/logs query parameters into a filter: `since` (a record id, or a
+ * date for the first request), `level` (the lowest level wanted) and
+ * `request_id`. Returns { filter } or { error } for invalid values. Callers
+ * narrow it further with `sessionId`.
+ */
+export const parseFilter = ({ since, level, request_id: requestId } = {}) => {
+    const filter = { sinceId: 0, sinceTime: 0, level: 'debug', requestId: null, sessionId: null };
+    if (since !== undefined) {
+        if (typeof since === 'string' && /^\d+$/.test(since)) filter.sinceId = Number(since);
+        else if (typeof since === 'string' && !Number.isNaN(Date.parse(since))) filter.sinceTime = Date.parse(since);
+        else return { error: 'since must be a log record id or a date' };
+    }
+    if (level !== undefined) {
+        if (!LEVELS.includes(level)) return { error: `level must be one of ${LEVELS.join(', ')}` };
+        filter.level = level;
+    }
+    if (requestId !== undefined) {
+        if (typeof requestId !== 'string' || !REQUEST_ID_PATTERN.test(requestId)) return { error: 'Invalid request_id' };
+        filter.requestId = requestId;
+    }
+    return { filter };
+};
+
+export const matches = (record, filter) =>
+    record.id > filter.sinceId &&
+    (!filter.sinceTime || Date.parse(record.time) > filter.sinceTime) &&
+    rank(record.level) >= rank(filter.level) &&
+    (!filter.requestId || record.request_id === filter.requestId) &&
+    (!filter.sessionId || recordSessions.get(record) === filter.sessionId);
+
+/** Buffered records that match `filter`, oldest first. */
+export const getRecords = (filter) => buffer.filter(record => matches(record, filter));
+
+/** Id of the newest record, for clients that want to continue from here. */
+export const getLastId = () => nextId;
+
+/** Calls `listener(record)` for every new record; returns an unsubscribe function. */
+export const subscribe = (listener) => {
+    events.on('record', listener);
+    return () => events.off('record', listener);
+};
+
+/**
+ * Express middleware that gives each request an ID (the caller's
+ * X-Request-Id when it has a sane one, so a client can tie several requests
+ * together), sends it back as X-Request-Id, and logs the request once the
+ * response is done. Everything logged while the request is handled, including
+ * downloads it starts, carries its ID and route.
+ */
+export const requestLogger = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    const route = `${req.method} ${req.path}`;
+    const started = Date.now();
+    req.id = requestId;
+    res.setHeader('X-Request-Id', requestId);
+
+    // Reading the logs is not worth logging (a log window would mostly show itself)
+    const quiet = req.path === '/api/health' || req.path.startsWith('/api/logs');
+    const context = { requestId, route, sessionId: null };
+    res.on('close', () => {
+        const status = res.writableFinished ? res.statusCode : `${res.statusCode}, closed early`;
+        const level = quiet ? 'debug' : res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        log(level, `${route} ${status} in ${Date.now() - started}ms`, {}, context);
+    });
+
+    requestContext.run(context, () => {
+        log('debug', `Request from Origin: ${req.get('Origin') || 'N/A'}`);
+        next();
+    });
+};
@@ -0,0 +1,282 @@
+import fs from 'fs';
+import * as auth from './auth.js';
+import { runYtdlp, USER_AGENT } from './source.js';
+import { getAnonymousYoutube } from './search.js';
+
+/**
+ * Metadata for /api/info from an ordered chain of providers. Each provider
+ * gets its own timeout; the first one that answers wins. Results are cached
+ * per media source for METADATA_CACHE_TTL_S, and a provider that keeps
+ * failing (e.g. youtubei.js once YouTube blocks the server's IP) is skipped
+ * for a cooldown, so requests stop paying for its timeout every time.
+ *
+ * Providers resolve with { source, title, thumbnail, duration, author: { name } }.
+ */
+let logCallback = (msg) => console.log(msg);
+let warnCallback = (msg) => console.warn(msg);
+let errorCallback = (msg) => console.error(msg);
+// Configuration problems are reported once the server's log is connected
+export const setLogCallbacks = (log, error, warn = error) => {
+    logCallback = log;
+    errorCallback = error;
+    warnCallback = warn;
+    if (unknownProviders.length) warnCallback(`[METADATA] Ignoring unknown METADATA_PROVIDERS: ${unknownProviders.join(', ')}`);
+};
+
+const CACHE_TTL_MS = (Number(process.env.METADATA_CACHE_TTL_S) || 3600) * 1000;
+const CACHE_MAX_ENTRIES = 500;
+const FAILURES_BEFORE_COOLDOWN = 3;
+const COOLDOWN_MS = (Number(process.env.METADATA_COOLDOWN_S) || 300) * 1000;
+
+const watchUrl = (videoId) => `https://www.youtube.com/watch?v=${videoId}`;
+
+const PROVIDERS = {
+    // Authenticated player request; getBasicInfo is lighter and less likely to hit 400 than getInfo (which calls /next)
+    youtubei: {
+        timeoutMs: 8000,
+        supports: (media) => media.provider === 'youtube',
+        fetch: async (media, timeoutMs, session) => {
+            const youtube = await auth.getYoutube(session);
+            const basic = (await youtube.getBasicInfo(media.mediaId)).basic_info;
+            return {
+                source: 'youtubei.js (basic)',
+                title: basic.title || 'Unknown Title',
+                thumbnail: basic.thumbnail?.[0]?.url || basic.thumbnail?.url || '',
+                duration: basic.duration || 0,
+                author: {
+                    name: typeof basic.author === 'string' ? basic.author : (basic.author?.name || basic.author || 'Unknown Author')
+                }
+            };
+        }
+    },
+
+    // Unauthenticated search for the ID - sometimes accounts are flagged on cloud IPs
+    search: {
+        timeoutMs: 8000,
+        supports: (media) => media.provider === 'youtube',
+        fetch: async (media) => {
+            const youtube = await getAnonymousYoutube();
+            const video = (await youtube.search(media.mediaId, { type: 'video' })).results?.[0];
+            if (!video || video.id !== media.mediaId) throw new Error('Video not found in search results');
+            return {
+                source: 'youtubei.js (search)',
+                title: video.title?.toString() || 'Unknown Title',
+                thumbnail: video.thumbnails?.[0]?.url || '',
+                duration: video.duration?.seconds || 0,
+                author: {
+                    name: video.author?.name || 'Unknown Author'
+                }
+            };
+        }
+    },
+
+    // The only provider for non-YouTube sources (SoundCloud, Bandcamp, ...), via yt-dlp's extractors
+    ytdlp: {
+        timeoutMs: 20000,
+        supports: () => true,
+        fetch: async (media, timeoutMs, session) => {
+            const youtube = media.provider === 'youtube';
+            let cookieFile = null;
+            if (youtube) {
+                cookieFile = await auth.writeCookieFile(session, 'info');
+                if (cookieFile) logCallback(`Using session cookies for info fallback (file: ${cookieFile})`);
+            }
+
+            const args = ['--dump-single-json', '--no-playlist', '--skip-download', '--no-warnings', '--force-ipv4', '--js-runtime', 'node'];
+            if (youtube) args.push('--no-check-certificates', '--user-agent', USER_AGENT);
+            if (cookieFile) args.push('--cookies', cookieFile);
+            args.push('--', media.url);
+
+            let json;
+            try {
+                json = JSON.parse(await runYtdlp(args, { timeoutMs }));
+            } finally {
+                if (cookieFile && fs.existsSync(cookieFile)) fs.unlinkSync(cookieFile);
+            }
+            if (json._type === 'playlist') {
+                throw new Error('This link is an album or playlist; open one of its tracks instead');
+            }
+            return {
+                source: youtube ? 'yt-dlp' : `yt-dlp (${json.extractor_key || json.extractor || media.provider})`,
+                title: json.track || json.title || 'Unknown Title',
+                thumbnail: json.thumbnail || json.thumbnails?.[json.thumbnails.length - 1]?.url || '',
+                duration: json.duration || 0,
+                author: {
+                    name: json.artist || json.uploader || json.channel || json.creator || 'Unknown Author'
+                }
+            };
+        }
+    },
+
+    // oEmbed is public and almost never blocked, but has no duration
+    oembed: {
+        timeoutMs: 5000,
+        supports: (media) => media.provider === 'youtube',
+        fetch: async (media, timeoutMs) => {
+            const oembedUrl = `https://www.youtube.com/oembed?url=${encodeURIComponent(watchUrl(media.mediaId))}&format=json`;
+            const res = await fetch(oembedUrl, { signal: AbortSignal.timeout(timeoutMs) });
+            if (!res.ok) throw new Error(`oEmbed returned ${res.status}`);
+            const data = await res.json();
+            return {
+                source: 'oEmbed (Safe Fallback)',
+                title: data.title || 'Unknown Title',
+                thumbnail: data.thumbnail_url || '',
+                duration: 0,
+                author: {
+                    name: data.author_name || 'YouTube User'
+                }
+            };
+        }
+    }
+};
+
+const DEFAULT_ORDER = ['youtubei', 'search', 'ytdlp', 'oembed'];
+
+// e.g. METADATA_PROVIDERS=ytdlp,oembed to skip youtubei.js entirely on a blocked host
+const configuredProviders = () => (process.env.METADATA_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+const parseOrder = () => {
+    const order = configuredProviders().filter(name => PROVIDERS[name]);
+    return order.length ? order : DEFAULT_ORDER;
+};
+
+// e.g. METADATA_TIMEOUTS=youtubei:4000,ytdlp:15000 (milliseconds)
+const parseTimeouts = () => {
+    const timeouts = {};
+    for (const pair of (process.env.METADATA_TIMEOUTS || '').split(',')) {
+        const [name, ms] = pair.split(':').map(part => part.trim());
+        if (PROVIDERS[name] && Number(ms) > 0) timeouts[name] = Number(ms);
+    }
+    return timeouts;
+};
+
+const order = parseOrder();
+const unknownProviders = configuredProviders().filter(name => !PROVIDERS[name]);
+const timeouts = { ...Object.fromEntries(Object.entries(PROVIDERS).map(([name, p]) => [name, p.timeoutMs])), ...parseTimeouts() };
+
+const stats = Object.fromEntries(order.map(name => [name, {
+    successes: 0,
+    failures: 0,
+    timeouts: 0,
+    skipped: 0,
+    totalLatencyMs: 0,
+    consecutiveFailures: 0,
+    coolingDownUntil: 0,
+    lastError: null
+}]));
+const cacheStats = { hits: 0, misses: 0 };
+
+// mediaId, or "<scope>+<mediaId>" for lookups made with a session's account (see
+// auth.getCacheScope) -> { expires, promise }; the promise is shared by concurrent requests
+const cache = new Map();
+
+const withTimeout = (promise, ms, name) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const err = new Error(`${name} timed out after ${ms}ms`);
+            err.timeout = true;
+            reject(err);
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const runProvider = async (name, media, session) => {
+    const stat = stats[name];
+    const started = Date.now();
+    try {
+        const result = await withTimeout(PROVIDERS[name].fetch(media, timeouts[name], session), timeouts[name], name);
+        stat.successes++;
+        stat.totalLatencyMs += Date.now() - started;
+        stat.consecutiveFailures = 0;
+        stat.coolingDownUntil = 0;
+        return result;
+    } catch (err) {
+        stat.failures++;
+        if (err.timeout) stat.timeouts++;
+        stat.totalLatencyMs += Date.now() - started;
+        stat.lastError = err.message;
+        if (++stat.consecutiveFailures >= FAILURES_BEFORE_COOLDOWN) {
+            stat.coolingDownUntil = Date.now() + COOLDOWN_MS;
+            errorCallback(`[METADATA] ${name} failed ${stat.consecutiveFailures} times in a row; skipping it for ${COOLDOWN_MS / 1000}s`);
+        }
+        throw err;
+    }
+};
+
+const fetchMetadata = async (media, session) => {
+    const candidates = order.filter(name => PROVIDERS[name].supports(media));
+    if (!candidates.length) throw new Error(`No metadata provider is enabled for ${media.provider} sources`);
+
+    // Cooling-down providers are skipped, unless that would leave nothing to try
+    const now = Date.now();
+    const available = candidates.filter(name => stats[name].coolingDownUntil <= now);
+    const attempts = available.length ? available : candidates;
+    candidates.filter(name => !attempts.includes(name)).forEach(name => stats[name].skipped++);
+
+    const errors = [];
+    for (const name of attempts) {
+        try {
+            logCallback(`[METADATA] Trying ${name} for ${media.mediaId}...`);
+            const result = await runProvider(name, media, session);
+            logCallback(`[METADATA] ${name} succeeded for ${media.mediaId}`);
+            return result;
+        } catch (err) {
+            errorCallback(`[METADATA] ${name} failed for ${media.mediaId}: ${err.message}`);
+            errors.push(`${name}: ${err.message}`);
+        }
+    }
+    throw new Error(`All metadata providers failed. ${errors.join('; ')}`);
+};
+
+/**
+ * Metadata for a media source (see resolver.js), from the cache or the
+ * provider chain; YouTube providers use the caller's session (see auth.js).
+ * What a signed-in session looked up is cached for that session only.
+ */
+export const getMetadata = (media, session = null) => {
+    const scope = media.provider === 'youtube' ? auth.getCacheScope(session) : null;
+    const key = scope ? `${scope}+${media.mediaId}` : media.mediaId;
+    for (const candidate of new Set([key, media.mediaId])) {
+        const cached = cache.get(candidate);
+        if (cached && cached.expires > Date.now()) {
+            cacheStats.hits++;
+            // Re-insert so the Map stays in least-recently-used order
+            cache.delete(candidate);
+            cache.set(candidate, cached);
+            return cached.promise;
+        }
+    }
+
+    cacheStats.misses++;
+    const entry = { expires: Date.now() + CACHE_TTL_MS, promise: fetchMetadata(media, session) };
+    cache.set(key, entry);
+    // Failures are not cached; the next request tries again
+    entry.promise.catch(() => {
+        if (cache.get(key) === entry) cache.delete(key);
+    });
+    while (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+    return entry.promise;
+};
+
+export const getMetadataStats = () => ({
+    order,
+    cache: { ...cacheStats, entries: cache.size, ttlSeconds: CACHE_TTL_MS / 1000 },
+    providers: order.map(name => {
+        const { successes, failures, timeouts: timedOut, skipped, totalLatencyMs, consecutiveFailures, coolingDownUntil, lastError } = stats[name];
+        const calls = successes + failures;
+        return {
+            name,
+            timeoutMs: timeouts[name],
+            successes,
+            failures,
+            timeouts: timedOut,
+            skipped,
+            averageLatencyMs: calls ? Math.round(totalLatencyMs / calls) : null,
+            consecutiveFailures,
+            coolingDown: coolingDownUntil > Date.now(),
+            lastError
+        };
+    })
+});
@@ -0,0 +1,86 @@
+import { FFMPEG_PATH } from './render.js';
+import { spawnProcess } from './process.js';
+
+const PEAKS_SAMPLE_RATE = 8000;
+// Zoom levels in peaks per second, finest last; each divides the finest evenly
+export const PEAK_LEVELS = [25, 100, 400];
+const MAX_CACHED = 50;
+const DECODE_TIMEOUT_MS = 5 * 60 * 1000;
+
+// audio cache key (see cache.js) -> Promise<peaks>, most recently used last
+const computed = new Map();
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Decodes an audio file to 8 kHz mono with ffmpeg and reduces it to peak
+ * (maximum absolute sample) values at every PEAK_LEVELS resolution.
+ * Resolves with { duration, levels: [{ peaksPerSecond, data }] }.
+ */
+const computePeaks = (file) => new Promise((resolve, reject) => {
+    const finest = PEAK_LEVELS[PEAK_LEVELS.length - 1];
+    const samplesPerPeak = PEAKS_SAMPLE_RATE / finest;
+    const ffmpeg = spawnProcess(FFMPEG_PATH, [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', file,
+        '-vn', '-ac', '1', '-ar', String(PEAKS_SAMPLE_RATE),
+        '-f', 'f32le', 'pipe:1'
+    ], { timeoutMs: DECODE_TIMEOUT_MS });
+
+    const peaks = [];
+    let peak = 0;
+    let count = 0;
+    let totalSamples = 0;
+    let leftover = Buffer.alloc(0);
+
+    ffmpeg.stdout.on('data', (chunk) => {
+        // Chunks don't respect sample boundaries; carry the partial float over
+        const data = leftover.length ? Buffer.concat([leftover, chunk]) : chunk;
+        const usable = data.length - (data.length % 4);
+        for (let offset = 0; offset < usable; offset += 4) {
+            peak = Math.max(peak, Math.abs(data.readFloatLE(offset)));
+            if (++count === samplesPerPeak) {
+                peaks.push(peak);
+                peak = 0;
+                count = 0;
+            }
+        }
+        totalSamples += usable / 4;
+        leftover = data.subarray(usable);
+    });
+
+    const stderrChunks = [];
+    ffmpeg.stderr.on('data', (data) => stderrChunks.push(data.toString()));
+    ffmpeg.on('error', (err) => reject(new Error(`ffmpeg is not available: ${err.message}`)));
+    ffmpeg.on('close', (code) => {
+        if (ffmpeg.timedOut) return reject(new Error(`ffmpeg took longer than ${DECODE_TIMEOUT_MS / 1000}s to decode the audio`));
+        if (code !== 0) return reject(new Error(stderrChunks.join('').trim() || `ffmpeg exited with code ${code}`));
+        if (count > 0) peaks.push(peak);
+
+        const levels = PEAK_LEVELS.map((peaksPerSecond) => {
+            const group = finest / peaksPerSecond;
+            const data = [];
+            for (let i = 0; i < peaks.length; i += group) {
+                data.push(round(Math.max(...peaks.slice(i, i + group))));
+            }
+            return { peaksPerSecond, data };
+        });
+        resolve({ duration: totalSamples / PEAKS_SAMPLE_RATE, levels });
+    });
+});
+
+/** Peaks for a cache entry's file, computed once per entry and kept for the most recent ones. */
+export const getPeaks = ({ key, file }) => {
+    if (computed.has(key)) {
+        const result = computed.get(key);
+        computed.delete(key);
+        computed.set(key, result);
+        return result;
+    }
+
+    const result = computePeaks(file);
+    computed.set(key, result);
+    result.catch(() => computed.delete(key));
+    while (computed.size > MAX_CACHED) computed.delete(computed.keys().next().value);
+    return result;
+};
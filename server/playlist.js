@@ -0,0 +1,132 @@
+import fs from 'fs';
+import * as auth from './auth.js';
+import { runYtdlp } from './source.js';
+
+let logCallback = (msg) => console.log(msg);
+let errorCallback = (msg) => console.error(msg);
+export const setLogCallbacks = (log, error) => {
+    logCallback = log;
+    errorCallback = error;
+};
+
+// Huge channel uploads lists would otherwise take minutes to page through
+export const MAX_PLAYLIST_ENTRIES = Number(process.env.PLAYLIST_MAX_ENTRIES) || 500;
+
+/** The `list=` parameter of a YouTube URL, or the input itself if it already looks like a playlist ID. */
+export const extractPlaylistId = (url) => {
+    if (typeof url !== 'string') return '';
+    const trimmed = url.trim();
+    try {
+        const list = new URL(trimmed).searchParams.get('list');
+        if (list) return list;
+    } catch (e) {
+        // Not a URL; maybe a bare ID
+    }
+    return /^(PL|UU|LL|FL|OL|RD)[A-Za-z0-9_-]+$/.test(trimmed) ? trimmed : '';
+};
+
+export const isValidPlaylistId = (playlistId) => /^[A-Za-z0-9_-]{2,64}$/.test(playlistId);
+
+const isVideoId = (id) => /^[A-Za-z0-9_-]{11}$/.test(id);
+
+/**
+ * Resolves a playlist into its videos: youtubei.js first (following
+ * continuations up to MAX_PLAYLIST_ENTRIES), then `yt-dlp --flat-playlist`,
+ * which also understands mixes and other lists YouTube's browse API rejects.
+ *
+ * Resolves with { id, title, author, source, truncated, entries }, where each
+ * entry is { id, title, author, duration, thumbnail }. Deleted and private
+ * videos are left out. Both use the caller's session (see auth.js), so
+ * private lists of a signed-in account work too.
+ */
+export const resolvePlaylist = async (playlistId, session = null) => {
+    try {
+        return await resolveWithYoutubei(playlistId, session);
+    } catch (ytError) {
+        errorCallback(`youtubei.js playlist lookup failed: ${ytError.message}. Falling back to yt-dlp...`);
+        return resolveWithYtdlp(playlistId, session);
+    }
+};
+
+const resolveWithYoutubei = async (playlistId, session) => {
+    const youtube = await auth.getYoutube(session);
+    let page = await youtube.getPlaylist(playlistId);
+    const { info } = page;
+    const entries = [];
+    let truncated = false;
+
+    for (;;) {
+        for (const item of page.items) {
+            if (item.type !== 'PlaylistVideo' || !item.is_playable || !isVideoId(item.id)) continue;
+            if (entries.length >= MAX_PLAYLIST_ENTRIES) {
+                truncated = true;
+                break;
+            }
+            entries.push({
+                id: item.id,
+                title: item.title?.toString() || 'Unknown Title',
+                author: item.author?.name || '',
+                duration: item.duration?.seconds || 0,
+                thumbnail: item.thumbnails?.[0]?.url || ''
+            });
+        }
+        if (truncated || !page.has_continuation) break;
+        page = await page.getContinuation();
+    }
+
+    return {
+        id: playlistId,
+        title: info.title || 'Untitled playlist',
+        author: info.author?.name || '',
+        source: 'youtubei.js',
+        truncated,
+        entries
+    };
+};
+
+const resolveWithYtdlp = async (playlistId, session) => {
+    let cookieFile = null;
+    try {
+        cookieFile = await auth.writeCookieFile(session, 'playlist');
+    } catch (cookieErr) {
+        errorCallback(`Failed to prepare cookies: ${cookieErr.message}`);
+    }
+
+    // One extra entry tells us whether the list was cut short
+    const args = [
+        '--flat-playlist',
+        '--dump-single-json',
+        '--no-warnings',
+        '--playlist-end', String(MAX_PLAYLIST_ENTRIES + 1),
+        '--force-ipv4',
+        '--js-runtime', 'node'
+    ];
+    if (cookieFile) args.push('--cookies', cookieFile);
+    args.push('--', `https://www.youtube.com/playlist?list=${playlistId}`);
+
+    logCallback(`Resolving playlist ${playlistId} with yt-dlp...`);
+    try {
+        const data = JSON.parse(await runYtdlp(args));
+        const entries = (data.entries || [])
+            .filter(entry => isVideoId(entry.id) && entry.title !== '[Deleted video]' && entry.title !== '[Private video]')
+            .map(entry => ({
+                id: entry.id,
+                title: entry.title || 'Unknown Title',
+                author: entry.channel || entry.uploader || '',
+                duration: entry.duration || 0,
+                thumbnail: entry.thumbnails?.[0]?.url || ''
+            }));
+        return {
+            id: playlistId,
+            title: data.title || 'Untitled playlist',
+            author: data.channel || data.uploader || '',
+            source: 'yt-dlp',
+            truncated: entries.length > MAX_PLAYLIST_ENTRIES,
+            entries: entries.slice(0, MAX_PLAYLIST_ENTRIES)
+        };
+    } finally {
+        if (cookieFile && fs.existsSync(cookieFile)) {
+            try { fs.unlinkSync(cookieFile); } catch (e) { /* already removed */ }
+        }
+    }
+};
@@ -0,0 +1,87 @@
+import { spawn } from 'child_process';
+import path from 'path';
+
+/**
+ * The one place the server starts other programs (yt-dlp, ffmpeg). Binaries
+ * are always run with an argument array and never through a shell, so
+ * nothing a user types can become part of a command line. Every process gets
+ * a time limit, and buffered output is capped.
+ */
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_OUTPUT_BYTES = 32 * 1024 * 1024;
+// Enough of stderr to explain a failure
+const MAX_STDERR_BYTES = 64 * 1024;
+// Time between SIGTERM and SIGKILL for a process that is past its limit
+const KILL_GRACE_MS = 2000;
+
+const nameOf = (command) => path.basename(command).replace(/\.exe$/i, '');
+
+const terminate = (child) => {
+    if (child.exitCode !== null || child.signalCode !== null) return;
+    child.kill('SIGTERM');
+    setTimeout(() => {
+        if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+    }, KILL_GRACE_MS).unref();
+};
+
+/**
+ * Starts `command` with `args` for callers that consume its output as a
+ * stream (downloads, renders). The process is stopped once `timeoutMs` has
+ * passed, and `child.timedOut` is set so the caller can report why.
+ */
+export const spawnProcess = (command, args, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+    const child = spawn(command, args, { shell: false, windowsHide: true });
+    child.timedOut = false;
+    const timer = setTimeout(() => {
+        child.timedOut = true;
+        terminate(child);
+    }, timeoutMs);
+    child.on('close', () => clearTimeout(timer));
+    child.on('error', () => clearTimeout(timer));
+    return child;
+};
+
+/**
+ * Runs `command` with `args` to completion and resolves with its stdout as a
+ * string. Rejects when it cannot be started, exits non-zero (with the last
+ * line of stderr as the message), runs longer than `timeoutMs` or writes more
+ * than `maxOutputBytes` to stdout.
+ */
+export const runProcess = (command, args, { timeoutMs = DEFAULT_TIMEOUT_MS, maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES } = {}) => new Promise((resolve, reject) => {
+    const name = nameOf(command);
+    const child = spawnProcess(command, args, { timeoutMs });
+    const stdout = [];
+    let stdoutBytes = 0;
+    let stderr = '';
+    let failure = null;
+
+    child.stdout.on('data', (chunk) => {
+        stdoutBytes += chunk.length;
+        if (stdoutBytes > maxOutputBytes) {
+            failure ||= new Error(`${name} wrote more than ${maxOutputBytes} bytes of output`);
+            terminate(child);
+            return;
+        }
+        stdout.push(chunk);
+    });
+    child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-MAX_STDERR_BYTES);
+    });
+    child.on('error', (err) => reject(new Error(`${name} could not be started: ${err.message}`)));
+    child.on('close', (code) => {
+        if (child.timedOut) return reject(new Error(`${name} timed out after ${timeoutMs / 1000}s`));
+        if (failure) return reject(failure);
+        if (code === 0) return resolve(Buffer.concat(stdout).toString());
+        reject(new Error(stderr.trim().split('\n').pop() || `${name} exited with code ${code}`));
+    });
+});
+
+/** First line of `command --version` (or `versionArgs`), or null when the binary is missing or broken. */
+export const getVersion = async (command, versionArgs = ['--version']) => {
+    try {
+        const output = await runProcess(command, versionArgs, { timeoutMs: 10000, maxOutputBytes: 1024 * 1024 });
+        return output.split('\n')[0].trim() || null;
+    } catch (e) {
+        return null;
+    }
+};
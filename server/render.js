@@ -0,0 +1,80 @@
+import { spawnProcess, runProcess } from './process.js';
+
+export const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const WORKING_RATE = 48000;
+// Renders and transcodes run faster than real time; this only catches a stuck ffmpeg
+const FFMPEG_TIMEOUT_MS = 10 * 60 * 1000;
+
+export const RENDER_FORMATS = {
+    mp3: { contentType: 'audio/mpeg', args: ['-c:a', 'libmp3lame', '-b:a', '192k', '-f', 'mp3'] },
+    wav: { contentType: 'audio/wav', args: ['-c:a', 'pcm_s16le', '-f', 'wav'] },
+    opus: { contentType: 'audio/ogg', args: ['-c:a', 'libopus', '-b:a', '128k', '-f', 'ogg'] }
+};
+
+export const SEMITONE_RANGE = [-12, 12];
+export const TEMPO_RANGE = [0.5, 2];
+
+let rubberbandCheck = null;
+
+/** Resolves true when the installed ffmpeg was built with the rubberband filter. */
+export const hasRubberband = () => {
+    rubberbandCheck ||= runProcess(FFMPEG_PATH, ['-hide_banner', '-filters'], { timeoutMs: 10000 })
+        .then(output => /\brubberband\b/.test(output), () => false);
+    return rubberbandCheck;
+};
+
+// atempo only accepts 0.5-2.0 on older ffmpeg builds, so larger changes are chained
+const atempoChain = (factor) => {
+    const filters = [];
+    while (factor > 2) {
+        filters.push('atempo=2');
+        factor /= 2;
+    }
+    while (factor < 0.5) {
+        filters.push('atempo=0.5');
+        factor /= 0.5;
+    }
+    filters.push(`atempo=${factor.toFixed(6)}`);
+    return filters;
+};
+
+/**
+ * ffmpeg audio filter graph for a pitch shift (semitones) and tempo change.
+ * Rubberband does both in one high-quality pass; without it, asetrate
+ * resamples to move the pitch and atempo puts the duration back.
+ */
+export const buildFilterGraph = ({ semitones, tempo }, rubberband) => {
+    const ratio = Math.pow(2, semitones / 12);
+    if (rubberband) {
+        return `rubberband=pitch=${ratio.toFixed(6)}:tempo=${tempo}:pitchq=quality`;
+    }
+    return [
+        `aresample=${WORKING_RATE}`,
+        `asetrate=${Math.round(WORKING_RATE * ratio)}`,
+        `aresample=${WORKING_RATE}`,
+        ...atempoChain(tempo / ratio)
+    ].join(',');
+};
+
+/**
+ * Spawns ffmpeg reading the audio file at `input` (any container) and
+ * writing the processed result in `format` (a RENDER_FORMATS key) to stdout.
+ */
+export const spawnRender = async ({ input, semitones, tempo, format }) => {
+    const rubberband = await hasRubberband();
+    const filters = buildFilterGraph({ semitones, tempo }, rubberband);
+    const args = [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', input,
+        '-vn',
+        '-af', filters,
+        ...RENDER_FORMATS[format].args,
+        'pipe:1'
+    ];
+    return { ffmpeg: spawnProcess(FFMPEG_PATH, args, { timeoutMs: FFMPEG_TIMEOUT_MS }), filters, engine: rubberband ? 'rubberband' : 'asetrate/atempo' };
+};
+
+/** Re-encodes the audio file at `input` into `output` with the given ffmpeg codec/muxer arguments. */
+export const transcodeFile = async (input, output, encoderArgs) => {
+    await runProcess(FFMPEG_PATH, ['-hide_banner', '-loglevel', 'error', '-y', '-i', input, '-vn', ...encoderArgs, output], { timeoutMs: FFMPEG_TIMEOUT_MS });
+};
@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import net from 'net';
+import dns from 'dns';
+
+const PROVIDER_HOSTS = {
+    soundcloud: ['soundcloud.com'],
+    bandcamp: ['bandcamp.com'],
+    vimeo: ['vimeo.com']
+};
+
+// Longer than any real page link; also keeps log lines and cache keys small
+export const MAX_URL_LENGTH = 2048;
+
+const MEDIA_EXTENSIONS = /\.(mp3|m4a|aac|wav|flac|ogg|oga|opus|webm|mp4|mov|mkv)$/i;
+
+// Links to arbitrary sites make yt-dlp fetch whatever they point at from inside
+// the server's network, and nothing here can fully prevent that, so they are opt-in (see the README)
+const ALLOW_GENERIC_SOURCES = ['1', 'true'].includes(process.env.ALLOW_GENERIC_SOURCES);
+const DNS_TIMEOUT_MS = 5000;
+
+// Cache files are named after the ID, so only YouTube's own alphabet is accepted
+export function isValidVideoId(videoId) {
+    return /^[A-Za-z0-9_-]{11}$/.test(videoId);
+}
+
+/** The video ID in a YouTube URL (or a bare ID), or '' when there is none. */
+export function extractVideoId(url) {
+    if (typeof url !== 'string') return '';
+    const trimmed = url.trim();
+    const regex = /(?:youtube\.com\/(?:[^/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?/\s]{11})/;
+    const match = trimmed.match(regex);
+    if (match && isValidVideoId(match[1])) return match[1];
+
+    // Last ditch: a bare ID
+    return isValidVideoId(trimmed) ? trimmed : '';
+}
+
+const isYoutubeHost = (hostname) => /(^|\.)(youtube\.com|youtu\.be|youtube-nocookie\.com)$/.test(hostname);
+
+const matchesHost = (hostname, hosts) => hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges
+const isPrivateAddress = (address) => {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224 || (a === 100 && b >= 64 && b <= 127) ||
+            (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+    }
+    if (net.isIPv6(address)) {
+        const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+        if (mapped) return isPrivateAddress(mapped[1]);
+        return address === '::' || address === '::1' || /^f[cd]/i.test(address) || /^fe[89ab]/i.test(address) || /^ff/i.test(address) || /^::ffff:/i.test(address);
+    }
+    return false;
+};
+
+const isPrivateHost = (hostname) => {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) return true;
+    return isPrivateAddress(host);
+};
+
+/**
+ * Turns whatever the user pasted into a media source:
+ *   { provider, mediaId, url }
+ * `provider` is youtube, soundcloud, bandcamp, vimeo, direct (a link to a
+ * media file) or generic (any other page yt-dlp may have an extractor for).
+ * `mediaId` names the source in the cache, jobs and peaks: the 11-character
+ * video ID for YouTube, "<provider>-<hash of the URL>" for everything else.
+ * `url` is what yt-dlp is given.
+ *
+ * Returns { error } for input that cannot be a source.
+ */
+export const resolveSource = (input) => {
+    // Repeated query parameters arrive as arrays
+    if (typeof input !== 'string') return { error: 'Expected a single URL' };
+    const trimmed = input.trim();
+    if (!trimmed) return { error: 'URL is required' };
+    if (trimmed.length > MAX_URL_LENGTH) return { error: `URL is longer than ${MAX_URL_LENGTH} characters` };
+    if (/[\p{Cc}\s]/u.test(trimmed)) return { error: 'URL contains whitespace or control characters' };
+
+    let parsed = null;
+    try {
+        parsed = new URL(trimmed);
+    } catch (e) {
+        // Not a URL; maybe a bare YouTube ID
+    }
+
+    if (!parsed || isYoutubeHost(parsed.hostname)) {
+        const videoId = extractVideoId(trimmed);
+        if (!videoId) {
+            return { error: 'Could not extract a valid 11-char YouTube video ID' };
+        }
+        return { provider: 'youtube', mediaId: videoId, url: `https://www.youtube.com/watch?v=${videoId}` };
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return { error: `Only http(s) links are supported, not ${parsed.protocol}` };
+    }
+    if (isPrivateHost(parsed.hostname)) {
+        return { error: `Refusing to fetch from a local or private address: ${parsed.hostname}` };
+    }
+
+    parsed.hash = '';
+    const url = parsed.href;
+    const provider = Object.keys(PROVIDER_HOSTS).find(name => matchesHost(parsed.hostname, PROVIDER_HOSTS[name]))
+        || (MEDIA_EXTENSIONS.test(parsed.pathname) ? 'direct' : 'generic');
+    if (!PROVIDER_HOSTS[provider] && !ALLOW_GENERIC_SOURCES) {
+        return { error: 'Only YouTube, SoundCloud, Bandcamp and Vimeo links are enabled on this server' };
+    }
+    const hash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+    return { provider, mediaId: `${provider}-${hash}`, url };
+};
+
+/**
+ * Resolves the host of a direct or generic source (see resolveSource) and
+ * returns { error } when any of its addresses is local or private. Call it
+ * before fetching; YouTube and the other known sites pass without a lookup.
+ *
+ * This is best effort, not an SSRF boundary: yt-dlp resolves the host again
+ * and follows HTTP redirects, so a rebinding DNS name or a 30x to a private
+ * address still reaches it. That is why these sources are opt-in.
+ */
+export const checkSourceHost = async (media) => {
+    if (!['direct', 'generic'].includes(media.provider)) return {};
+    const { hostname } = new URL(media.url);
+    if (net.isIP(hostname.replace(/^\[|\]$/g, ''))) return {};
+    try {
+        const addresses = await Promise.race([
+            dns.promises.lookup(hostname, { all: true, verbatim: true }),
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error('DNS lookup timed out')), DNS_TIMEOUT_MS).unref())
+        ]);
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) return { error: `Refusing to fetch from ${hostname}: it resolves to the private address ${blocked.address}` };
+        return {};
+    } catch (err) {
+        return { error: `Could not resolve ${hostname}: ${err.message}` };
+    }
+};
@@ -0,0 +1,52 @@
+import { Innertube } from 'youtubei.js';
+import * as auth from './auth.js';
+
+let errorCallback = (msg) => console.error(msg);
+export const setLogCallback = (error) => {
+    errorCallback = error;
+};
+
+export const MAX_QUERY_LENGTH = 200;
+export const MAX_RESULTS = 20;
+
+// Unauthenticated client, shared with the metadata search provider: signed-in accounts get flagged on cloud IPs
+let anonymousYoutube = null;
+export const getAnonymousYoutube = () => {
+    anonymousYoutube ||= Innertube.create({ client_type: 'WEB' }).catch((err) => {
+        anonymousYoutube = null;
+        throw err;
+    });
+    return anonymousYoutube;
+};
+
+const toResult = (video) => ({
+    id: video.video_id,
+    title: video.title?.toString() || 'Unknown Title',
+    author: video.author?.name || '',
+    duration: video.duration?.seconds || 0,
+    views: video.short_view_count?.toString() || '',
+    thumbnail: video.best_thumbnail?.url || video.thumbnails?.[0]?.url || ''
+});
+
+/**
+ * Searches YouTube for videos, as the caller's session (see auth.js) when
+ * there is one. Live streams are left out since they cannot be downloaded.
+ * Resolves with up to `limit` results of
+ * { id, title, author, duration, views, thumbnail }.
+ */
+export const searchVideos = async (query, { session = null, limit = MAX_RESULTS } = {}) => {
+    let search;
+    try {
+        const youtube = await auth.getYoutube(session);
+        search = await youtube.search(query, { type: 'video' });
+    } catch (err) {
+        errorCallback(`Search with the session client failed: ${err.message}. Retrying anonymously...`);
+        const youtube = await getAnonymousYoutube();
+        search = await youtube.search(query, { type: 'video' });
+    }
+
+    return search.results
+        .filter(node => node.type === 'Video' && /^[A-Za-z0-9_-]{11}$/.test(node.video_id) && !node.is_live && !node.is_upcoming)
+        .slice(0, limit)
+        .map(toResult);
+};
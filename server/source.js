@@ -0,0 +1,194 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Readable } from 'stream';
+import fs from 'fs';
+import * as auth from './auth.js';
+import { STREAM_FORMATS } from './formats.js';
+import { spawnProcess, runProcess } from './process.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+let logCallback = (msg) => console.log(msg);
+let errorCallback = (msg) => console.error(msg);
+export const setLogCallbacks = (log, error) => {
+    logCallback = log;
+    errorCallback = error;
+};
+
+export const getYtdlpPath = () => process.env.YTDLP_PATH || (process.platform === 'win32' ? path.join(__dirname, 'yt-dlp.exe') : 'yt-dlp');
+
+const SIZE_UNITS = { B: 1, KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3 };
+// e.g. "[download]  45.3% of ~  3.45MiB at  1.23MiB/s ETA 00:02"
+const YTDLP_PROGRESS = /\[download\]\s+([\d.]+)%(?:\s+of\s+~?\s*([\d.]+)(B|KiB|MiB|GiB))?/g;
+const YTDLP_TIMEOUT_MS = 60000;
+// A whole download; long mixes on a slow connection can take a while
+const YTDLP_DOWNLOAD_TIMEOUT_MS = (Number(process.env.YTDLP_DOWNLOAD_TIMEOUT_S) || 1800) * 1000;
+// --dump-single-json output; large playlists are the biggest
+const YTDLP_MAX_OUTPUT_BYTES = 32 * 1024 * 1024;
+
+// Whatever the site offers, audio-only when possible; the cache converts it to a STREAM_FORMAT
+const ORIGINAL_AUDIO = 'bestaudio/best';
+
+/**
+ * Opens the best audio stream for a YouTube video in one of the native
+ * STREAM_FORMATS (m4a or webm), untouched: youtubei.js first, then the
+ * yt-dlp fallback when that fails.
+ *
+ * `onProgress` receives partial updates as they become known: { source,
+ * total } once a source is chosen (total in bytes, or null) and, for yt-dlp,
+ * { percent, total } parsed from its progress output.
+ *
+ * Both use the caller's session (see auth.js), or the signed-out client
+ * when `session` is null.
+ *
+ * Resolves with { stream, source, finished, close }. `finished` settles once
+ * the download has completed (or rejects if it failed part-way); `close()`
+ * stops the download and removes any temporary cookie file, and is safe to
+ * call twice.
+ */
+export const openAudioStream = async (videoId, format = 'm4a', onProgress = () => { }, session = null) => {
+    if (!STREAM_FORMATS[format]?.youtubei) throw new Error(`${format} is not a native YouTube audio format`);
+
+    try {
+        logCallback(`Attempting direct ${format} stream via youtubei.js for: ${videoId}`);
+        const youtube = await auth.getYoutube(session);
+
+        // Same requests as youtube.download(), but the chosen format also tells us the size
+        const options = { type: 'audio', quality: 'best', format: STREAM_FORMATS[format].youtubei };
+        const info = await youtube.getBasicInfo(videoId);
+        const total = info.chooseFormat(options).content_length || null;
+        const webStream = await info.download(options);
+        onProgress({ source: 'youtubei.js', total });
+
+        logCallback('Direct stream obtained. Bridging WebStream to NodeStream...');
+        const stream = Readable.fromWeb(webStream);
+        const finished = new Promise((resolve, reject) => {
+            stream.on('end', resolve);
+            stream.on('error', (err) => {
+                errorCallback(`youtubei.js stream error: ${err.message}`);
+                reject(err);
+            });
+            stream.on('close', () => reject(new Error('Stream closed before the end')));
+        });
+        finished.catch(() => { }); // callers that only pipe the stream don't have to await it
+
+        return {
+            stream,
+            source: 'youtubei.js',
+            finished,
+            close: () => stream.destroy()
+        };
+    } catch (ytError) {
+        errorCallback(`Direct streaming failed: ${ytError.message}. Falling back to yt-dlp...`);
+        return openYtdlpStream(`https://www.youtube.com/watch?v=${videoId}`, STREAM_FORMATS[format].ytdlp, onProgress, { session });
+    }
+};
+
+/**
+ * Opens the best audio of any other page or file yt-dlp can handle
+ * (SoundCloud, Bandcamp, Vimeo, direct media links, ...), in whatever
+ * container the site serves. Same result as openAudioStream.
+ */
+export const openSourceStream = (url, onProgress = () => { }) => openYtdlpStream(url, ORIGINAL_AUDIO, onProgress, { session: null });
+
+// The YouTube session cookies are only passed along for YouTube itself
+const openYtdlpStream = async (url, formatSelector, onProgress, { session }) => {
+    const ytdlpPath = getYtdlpPath();
+    logCallback(`Streaming using yt-dlp: ${ytdlpPath}`);
+
+    // Try to inject cookies if available
+    let cookieFile = null;
+    if (session) {
+        try {
+            cookieFile = await auth.writeCookieFile(session, 'stream');
+            if (cookieFile) {
+                logCallback(`Using session cookies for yt-dlp stream (file: ${cookieFile})`);
+            } else {
+                logCallback('No session cookies available for streaming fallback.');
+            }
+        } catch (cookieErr) {
+            errorCallback(`Failed to prepare cookies: ${cookieErr.message}`);
+        }
+    }
+
+    const args = [
+        '-f', formatSelector,
+        '--no-playlist',
+        '--force-ipv4',
+        '--no-check-certificates',
+        '--user-agent', USER_AGENT,
+        '--js-runtime', 'node',
+        '--buffer-size', '16K',
+        // Progress is normally silenced when writing to stdout; one line per update keeps it parseable
+        '--progress',
+        '--newline',
+        '-o', '-'
+    ];
+
+    if (cookieFile) {
+        args.push('--cookies', cookieFile);
+    }
+    // "--" keeps a URL from ever being read as an option
+    args.push('--', url);
+
+    const ytdlp = spawnProcess(ytdlpPath, args, { timeoutMs: YTDLP_DOWNLOAD_TIMEOUT_MS });
+    onProgress({ source: 'yt-dlp', total: null });
+
+    const cleanup = () => {
+        if (cookieFile && fs.existsSync(cookieFile)) {
+            try { fs.unlinkSync(cookieFile); } catch (e) { /* already removed */ }
+        }
+    };
+
+    ytdlp.on('error', (err) => {
+        errorCallback(`yt-dlp spawn error: ${err.message}`);
+    });
+
+    ytdlp.stdout.once('data', (data) => {
+        logCallback(`Starting to stream audio (yt-dlp): ${data.length} bytes received`);
+    });
+
+    ytdlp.stderr.on('data', (data) => {
+        const msg = data.toString();
+        const progress = [...msg.matchAll(YTDLP_PROGRESS)].pop();
+        if (progress) {
+            const [, percent, size, unit] = progress;
+            onProgress({ percent: Number(percent), total: size ? Math.round(Number(size) * SIZE_UNITS[unit]) : null });
+            // Progress lines are reported as progress, not logged
+            if (!msg.includes('ERROR')) return;
+        }
+        errorCallback(`yt-dlp stderr: ${msg.trim()}`);
+
+        if (msg.includes('ERROR')) {
+            // The non-zero exit code rejects `finished`, so the caller sees the failure too
+            errorCallback(`yt-dlp error during stream: ${msg.trim()}`);
+        }
+    });
+
+    const finished = new Promise((resolve, reject) => {
+        ytdlp.on('close', (code) => {
+            logCallback(`yt-dlp process exited with code ${code}`);
+            cleanup();
+            if (ytdlp.timedOut) reject(new Error(`yt-dlp download timed out after ${YTDLP_DOWNLOAD_TIMEOUT_MS / 1000}s`));
+            else if (code === 0) resolve();
+            else reject(new Error(`yt-dlp exited with code ${code}`));
+        });
+    });
+    finished.catch(() => { });
+
+    return {
+        stream: ytdlp.stdout,
+        source: 'yt-dlp',
+        finished,
+        close: () => {
+            cleanup();
+            ytdlp.kill();
+        }
+    };
+};
+
+/** Runs yt-dlp to completion and resolves with its stdout (for --dump-json style calls). */
+export const runYtdlp = (args, { timeoutMs = YTDLP_TIMEOUT_MS } = {}) =>
+    runProcess(getYtdlpPath(), args, { timeoutMs, maxOutputBytes: YTDLP_MAX_OUTPUT_BYTES });
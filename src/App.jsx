@@ -1,80 +1,351 @@
 import { useState, useEffect, useRef } from 'react'
 import WaveSurfer from 'wavesurfer.js'
-import * as Tone from 'tone'
-import { Play, Pause, Youtube, Loader2, Music2, RefreshCcw } from 'lucide-react'
+import RegionsPlugin from 'wavesurfer.js/dist/plugins/regions.esm.js'
+import TimelinePlugin from 'wavesurfer.js/dist/plugins/timeline.esm.js'
+import MinimapPlugin from 'wavesurfer.js/dist/plugins/minimap.esm.js'
+import ZoomPlugin from 'wavesurfer.js/dist/plugins/zoom.esm.js'
+import { Play, Pause, Youtube, Loader2, Music2, RefreshCcw, Repeat, X, FolderOpen, FileAudio, Download, ZoomIn, ZoomOut, Maximize2, ListMusic, ListVideo, Search, SkipBack, SkipForward, Plus, Pencil, Trash2, ChevronUp, ChevronDown, Upload, Bookmark } from 'lucide-react'
+import { AudioEngine, QUALITY_MODES } from './audio/AudioEngine'
+import { analyzeBuffer, KEY_NAMES, keyName, semitonesBetween } from './audio/analysis'
+import { exportAudio, EXPORT_FORMATS } from './audio/export'
+import {
+  DEFAULT_SETTINGS, videoSongId, remoteSongId, youtubeUrl, fileSongId, saveSong, describeSettings, createSavedLoop,
+  createSetlist, renameSetlist, deleteSetlist, addToSetlist, removeFromSetlist, moveInSetlist,
+  exportSetlists, importSetlists, loadLibrary, saveLibrary
+} from './library'
+import { API_BASE, apiFetch, authHeaders, getSessionToken, setSessionToken, createRequestId, openEventStream } from './api'
+import { bindLoopRegion, showLoopRegion } from './loopRegion'
 import './App.css'
 
-const getApiBase = () => {
-  const url = import.meta.env.VITE_API_URL || 'http://127.0.0.1:3001'
-  return url.endsWith('/api') ? url : `${url.replace(/\/$/, '')}/api`
+
+// Loop points move in 50ms steps, fine enough to land on a beat
+const NUDGE_STEP = 0.05
+const MIN_LOOP_LENGTH = 0.1
+const LOOP_COLOR = 'rgba(56, 189, 248, 0.2)'
+const WAVE_COLOR = '#475569'
+
+// Waveform zoom in pixels per second of audio; 0 means fit the whole track
+const MAX_ZOOM = 200
+const ZOOM_STEP = 2
+
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'flac', 'm4a']
+const AUDIO_ACCEPT = AUDIO_EXTENSIONS.map(ext => `.${ext}`).join(',')
+
+const isAudioFile = (file) => {
+  const ext = file.name.split('.').pop().toLowerCase()
+  return AUDIO_EXTENSIONS.includes(ext) || file.type.startsWith('audio/')
+}
+
+const MIN_SPEED = 0.5
+const MAX_SPEED = 2
+
+const formatSigned = (value) => (value > 0 ? `+${value}` : `${value}`)
+
+const safeFileName = (name) => name.replace(/[\\/:*?"<>|]+/g, '').trim()
+
+// "Song (+2 semi, 0.8x).mp3"; filesystem-unsafe characters are dropped
+const exportFileName = (title, semitones, speed, extension) => {
+  const base = safeFileName(title || 'export')
+  const changes = []
+  if (semitones !== 0) changes.push(`${formatSigned(semitones)} semi`)
+  if (speed !== 1) changes.push(`${speed}x`)
+  return `${base}${changes.length ? ` (${changes.join(', ')})` : ''}.${extension}`
+}
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// The list= parameter of a YouTube link, if it points into a playlist
+const playlistIdOf = (input) => {
+  try {
+    const parsed = new URL(input.trim())
+    return /(^|\.)youtube\.com$/.test(parsed.hostname) ? parsed.searchParams.get('list') : null
+  } catch {
+    return null
+  }
+}
+
+const watchUrl = (videoId) => `https://www.youtube.com/watch?v=${videoId}`
+
+// Links (YouTube or anything else yt-dlp can fetch) and bare video IDs are loaded; anything else is searched for
+const isSearchQuery = (input) => {
+  const trimmed = input.trim()
+  return !/^https?:\/\//i.test(trimmed) && !/youtu\.?be/i.test(trimmed) && !/^[A-Za-z0-9_-]{11}$/.test(trimmed)
+}
+
+const formatMegabytes = (bytes) => `${(bytes / 1048576).toFixed(1)} MB`
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60)
+  const secs = (seconds % 60).toFixed(2).padStart(5, '0')
+  return `${mins}:${secs}`
+}
+
+// m:ss, or h:mm:ss for long tracks
+const formatClock = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds))
+  const hours = Math.floor(total / 3600)
+  const mins = Math.floor((total % 3600) / 60)
+  const secs = String(total % 60).padStart(2, '0')
+  return hours ? `${hours}:${String(mins).padStart(2, '0')}:${secs}` : `${mins}:${secs}`
+}
+
+// Frontend and backend log lines kept for the log window
+const MAX_LOG_ENTRIES = 300
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+
+// e.g. "12:03:41 WARN  backend [load-1a2b] Unsupported URL: ... (GET /api/info)"
+const formatLogEntry = ({ time, level, source, message, route, requestId }) => {
+  const request = requestId ? ` [${requestId.slice(0, 9)}]` : ''
+  const suffix = route && !message.startsWith(route) ? ` (${route})` : ''
+  return `${new Date(time).toLocaleTimeString()} ${level.toUpperCase().padEnd(5)} ${source.padEnd(8)}${request} ${message}${suffix}`
+}
+
+// Elapsed / remaining time and a scrub bar. It follows the engine itself so the
+// per-frame position updates re-render only this component, not the whole app.
+function Timeline({ engine, duration }) {
+  const [position, setPosition] = useState(engine.position)
+
+  useEffect(() => engine.on('timeupdate', setPosition), [engine])
+
+  return (
+    <div className="timeline">
+      <span className="time-elapsed">{formatClock(position)}</span>
+      <input
+        type="range" className="scrub-bar" min="0" max={duration || 0} step="0.01"
+        value={Math.min(position, duration || 0)}
+        onChange={(e) => engine.seek(parseFloat(e.target.value))}
+        disabled={!duration}
+      />
+      <span className="time-remaining">-{formatClock(duration - position)}</span>
+    </div>
+  )
+}
+
+// Time left to enter a sign-in code, ticking once a second
+function CodeCountdown({ expiresAt }) {
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const left = (new Date(expiresAt).getTime() - now) / 1000
+  return (
+    <p className={`auth-countdown ${left < 60 ? 'ending' : ''}`}>
+      {left > 0 ? `Code expires in ${formatClock(left)}` : 'Code expired'}
+    </p>
+  )
 }
-const API_BASE = getApiBase()
 
 function App() {
   const [url, setUrl] = useState('')
   const [videoInfo, setVideoInfo] = useState(null)
   const [isPlaying, setIsPlaying] = useState(false)
   const [pitch, setPitch] = useState(0)
+  const [cents, setCents] = useState(0)
   const [speed, setSpeed] = useState(1)
+  const [quality, setQuality] = useState('balanced')
   const [isLoading, setIsLoading] = useState(false)
   const [isReady, setIsReady] = useState(false)
   const [backendStatus, setBackendStatus] = useState('checking')
-  const [logs, setLogs] = useState([])
+  const [logs, setLogs] = useState([]) // { key, time, level, source, message, route, requestId }, oldest first
   const [showLogs, setShowLogs] = useState(false)
+  const [logFilter, setLogFilter] = useState({ level: 'info', source: 'all', lastLoadOnly: false })
+  const [loadRequestId, setLoadRequestId] = useState(null) // X-Request-Id of the latest track load
   const [userSession, setUserSession] = useState(null)
-  const [authFlow, setAuthFlow] = useState(null)
+  const [authFlow, setAuthFlow] = useState(null) // 'loading' or a sign-in flow from /api/auth/flow/:id
+  const [loop, setLoop] = useState(null) // { start, end } in seconds of the original track
+  const [loopEnabled, setLoopEnabled] = useState(false)
+  const [isDragging, setIsDragging] = useState(false)
+  const [analysis, setAnalysis] = useState(null) // { tuning, key, tempo } for the loaded track
+  const [isAnalyzing, setIsAnalyzing] = useState(false)
+  const [targetBpm, setTargetBpm] = useState('')
+  const [zoom, setZoom] = useState(0) // waveform px per second, 0 = fit
+  const [download, setDownload] = useState(null) // backend download job while a stream is being fetched
+  const [exportFormat, setExportFormat] = useState('mp3')
+  const [isExporting, setIsExporting] = useState(false)
+  const [library, setLibrary] = useState(loadLibrary) // { songs, setlists } persisted in localStorage
+  const [songId, setSongId] = useState(null) // preset key of the loaded track, see src/library/songs.js
+  const [savedLoops, setSavedLoops] = useState([])
+  const [notes, setNotes] = useState('')
+  const [setlistId, setSetlistId] = useState(null)
+  const [queue, setQueue] = useState(null) // { title, entries: [{ id, title, author, duration }] } from /api/playlist
+  const [queueIndex, setQueueIndex] = useState(-1) // entry playing now, -1 when the loaded track is not from the queue
+  const [queueSettings, setQueueSettings] = useState('song') // 'song': each track's own preset, 'carry': keep pitch and speed
+  const [search, setSearch] = useState(null) // { query, results } from /api/search
+  const [isSearching, setIsSearching] = useState(false)
+
+  const frontendLogCount = useRef(0)
+  const backendLogCursor = useRef(0) // id of the newest backend record we have, see server/logs.js
 
-  const addLog = (msg) => setLogs(prev => [...prev.slice(-19), `[${new Date().toLocaleTimeString()}] ${msg}`])
+  const addLog = (msg, { level = 'info', requestId = null } = {}) => {
+    const entry = { key: `frontend:${++frontendLogCount.current}`, time: Date.now(), level, source: 'frontend', message: msg, route: null, requestId }
+    setLogs(prev => [...prev.slice(-(MAX_LOG_ENTRIES - 1)), entry])
+  }
+
+  // Which backend records we may read (see server/index.js): this session's, or only a load's while signed out
+  const backendLogScope = (requestId) => {
+    if (getSessionToken()) return `since=${backendLogCursor.current}`
+    return requestId ? `request_id=${encodeURIComponent(requestId)}` : null
+  }
+
+  // Backend records arrive late and can arrive twice (fetch and live tail), so they are keyed by id and slotted in by time
+  const addBackendLogs = (records) => {
+    if (!records.length) return
+    backendLogCursor.current = Math.max(backendLogCursor.current, ...records.map(r => r.id))
+    setLogs(prev => {
+      const seen = new Set(prev.map(entry => entry.key))
+      const added = records
+        .map(r => ({ key: `backend:${r.id}:${r.time}`, time: Date.parse(r.time), level: r.level, source: 'backend', message: r.message, route: r.route, requestId: r.request_id }))
+        .filter(entry => !seen.has(entry.key))
+      if (!added.length) return prev
+      return [...prev, ...added].sort((a, b) => a.time - b.time).slice(-MAX_LOG_ENTRIES)
+    })
+  }
 
   const waveformRef = useRef(null)
+  const fileInputRef = useRef(null)
   const wavesurfer = useRef(null)
-  const player = useRef(null)
-  const pitchShift = useRef(null)
+  const waveform = useRef(null) // { peaks, duration } WaveSurfer draws; it never fetches or decodes audio itself
+  const loadToken = useRef(0) // bumped per load so late peaks for a previous track are dropped
+  const progressEvents = useRef(null) // EventSource for the backend download progress
+  const authPoll = useRef(null) // timer for the next sign-in flow check
+  const setlistInputRef = useRef(null)
+  const cookieInputRef = useRef(null)
+  const carried = useRef(null) // { values, own }: pitch/cents/speed carried over from the previous track, and the song's own
+  const onTrackEnded = useRef(null) // latest auto-advance handler, called from the engine's 'ended' event
+  const engine = useRef(null)
+  const regions = useRef(null)
 
   useEffect(() => {
     console.log('[FRONTEND] API_BASE is:', API_BASE)
     checkBackend()
     fetchAuthStatus()
+    return () => clearTimeout(authPoll.current)
   }, [])
 
+  // Live tail of the backend log while the log window is open
+  useEffect(() => {
+    if (!showLogs) return
+    const scope = backendLogScope(loadRequestId)
+    if (!scope) return
+    return openEventStream(`/logs/stream?${scope}`, (type, data) => {
+      if (type === 'log') addBackendLogs([JSON.parse(data)])
+    })
+  }, [showLogs, loadRequestId, userSession])
+
   const fetchAuthStatus = async () => {
     try {
-      const res = await fetch(`${API_BASE}/auth/status`)
+      const res = await apiFetch('/auth/status')
       const data = await res.json()
       setUserSession(data.logged_in ? data : null)
+      return data
     } catch (err) {
       console.error('Failed to fetch auth status:', err)
+      return null
     }
   }
 
+  const stopAuthPolling = () => {
+    clearTimeout(authPoll.current)
+    authPoll.current = null
+  }
+
+  // Checks the flow at the interval the backend asks for until it leaves 'pending'
+  const pollAuthFlow = (flow) => {
+    stopAuthPolling()
+    const timer = setTimeout(async () => {
+      try {
+        const res = await apiFetch(`/auth/flow/${flow.id}`)
+        if (!res.ok) throw new Error(`Sign-in status request failed (${res.status})`)
+        const next = await res.json()
+        if (authPoll.current !== timer) return // cancelled or restarted meanwhile
+        authPoll.current = null
+
+        if (next.state === 'pending') {
+          setAuthFlow(next)
+          pollAuthFlow(next)
+        } else if (next.state === 'approved') {
+          setAuthFlow(null)
+          const status = await fetchAuthStatus()
+          addLog(`Successfully signed in as: ${status?.name || 'YouTube user'}`)
+        } else {
+          setAuthFlow(next)
+          addLog(`Sign-in ${next.state}: ${next.error}`, { level: 'warn' })
+        }
+      } catch (err) {
+        if (authPoll.current !== timer) return
+        // A network blip shouldn't end the flow; the code's own expiry does
+        addLog(`Could not check the sign-in: ${err.message}`, { level: 'warn' })
+        pollAuthFlow(flow)
+      }
+    }, (flow.interval || 5) * 1000)
+    authPoll.current = timer
+  }
+
   const handleLogin = async () => {
+    stopAuthPolling()
     setAuthFlow('loading')
     try {
-      const res = await fetch(`${API_BASE}/auth/login`, { method: 'POST' })
+      const res = await apiFetch('/auth/login', { method: 'POST' })
       const data = await res.json()
+      if (!res.ok) throw new Error(data.details || data.error || `Sign-in request failed (${res.status})`)
+      // Only a new session comes with a token; this browser sends it with every request from now on
+      if (data.session_token) setSessionToken(data.session_token)
       setAuthFlow(data)
       addLog('Auth flow started. Waiting for user verification...')
-
-      // Poll for status every 5 seconds
-      const timer = setInterval(async () => {
-        const statusRes = await fetch(`${API_BASE}/auth/status`)
-        const status = await statusRes.json()
-        if (status.logged_in) {
-          setUserSession(status)
-          setAuthFlow(null)
-          addLog(`Successfully signed in as: ${status.name}`)
-          clearInterval(timer)
-        }
-      }, 5000)
+      pollAuthFlow(data)
     } catch (err) {
       console.error('Login error:', err)
+      addLog(`Sign-in failed to start: ${err.message}`, { level: 'error' })
       setAuthFlow(null)
     }
   }
 
+  // Closing the dialog also ends a pending flow on the backend, so a late approval is ignored
+  const closeAuthFlow = async () => {
+    const flow = authFlow
+    stopAuthPolling()
+    setAuthFlow(null)
+    if (flow?.state !== 'pending') return
+    try {
+      await apiFetch(`/auth/flow/${flow.id}/cancel`, { method: 'POST' })
+      addLog('Sign-in cancelled')
+    } catch (err) {
+      console.error('Cancel sign-in error:', err)
+    }
+  }
+
+  // Signs in with a cookies.txt exported from a browser; the backend keeps only the YouTube cookies
+  const handleImportCookies = async (file) => {
+    if (!file) return
+    try {
+      const res = await apiFetch('/auth/cookies', { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: await file.text() })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.details || data.error || `Cookie import failed (${res.status})`)
+      if (data.session_token) setSessionToken(data.session_token)
+      setUserSession(data)
+      addLog(`Imported ${data.cookies.count} YouTube cookies from ${file.name}`)
+      if (data.cookies.expiring_soon) addLog(`Warning: the imported cookies expire on ${new Date(data.cookies.expires_at).toLocaleDateString()}`, { level: 'warn' })
+    } catch (err) {
+      console.error('Cookie import error:', err)
+      addLog(`Cookie import failed: ${err.message}`, { level: 'error' })
+      alert(`Could not import the cookie file: ${err.message}`)
+    }
+  }
+
   const handleLogout = async () => {
     try {
-      await fetch(`${API_BASE}/auth/logout`, { method: 'POST' })
+      await apiFetch('/auth/logout', { method: 'POST' })
+      setSessionToken(null)
       setUserSession(null)
       addLog('Signed out successfully')
     } catch (err) {
@@ -84,7 +355,7 @@ function App() {
 
   const checkBackend = async () => {
     try {
-      const res = await fetch(`${API_BASE}/health`)
+      const res = await apiFetch('/health')
       if (res.ok) setBackendStatus('online')
       else setBackendStatus('error')
     } catch (err) {
@@ -94,16 +365,22 @@ function App() {
   }
 
   useEffect(() => {
-    // Tone.js Setup
-    player.current = new Tone.Player()
-    pitchShift.current = new Tone.PitchShift(0)
-    player.current.connect(pitchShift.current)
-    pitchShift.current.toDestination()
+    engine.current = new AudioEngine()
+    engine.current.on('timeupdate', (time) => wavesurfer.current?.setTime(time))
+    engine.current.on('play', () => setIsPlaying(true))
+    engine.current.on('pause', () => setIsPlaying(false))
+    engine.current.on('ended', () => {
+      addLog('Playback reached the end of the track')
+      onTrackEnded.current?.()
+    })
+    engine.current.on('buffering', (buffering) => buffering && addLog('Buffering audio (please wait)...'))
+    engine.current.on('error', (err) => addLog(`Audio engine error: ${err.message}`, { level: 'error' }))
 
     return () => {
-      player.current?.dispose()
-      pitchShift.current?.dispose()
+      engine.current.dispose()
+      engine.current = null
       wavesurfer.current?.destroy()
+      progressEvents.current?.close()
     }
   }, [])
 
@@ -111,37 +388,158 @@ function App() {
   useEffect(() => {
     if (!waveformRef.current || wavesurfer.current) return
 
+    regions.current = RegionsPlugin.create()
+    // The minimap is an overview with the visible window outlined; WaveSurfer never plays
+    // audio itself, so it shows no progress of its own
+    const minimap = MinimapPlugin.create({
+      height: 24,
+      waveColor: WAVE_COLOR,
+      progressColor: WAVE_COLOR,
+      cursorWidth: 0,
+      overlayColor: 'rgba(56, 189, 248, 0.15)',
+    })
     wavesurfer.current = WaveSurfer.create({
       container: waveformRef.current,
-      waveColor: '#475569',
+      waveColor: WAVE_COLOR,
       progressColor: '#38bdf8',
       cursorColor: '#38bdf8',
       barWidth: 2,
       barRadius: 3,
       responsive: true,
       height: 80,
+      plugins: [
+        regions.current,
+        TimelinePlugin.create({ height: 14, style: { fontSize: '10px', color: '#64748b' } }),
+        ZoomPlugin.create({ scale: 0.25, maxZoom: MAX_ZOOM }),
+        minimap,
+      ],
     })
 
+    // Dragging across the waveform creates the A-B loop and turns looping on
+    const disableDragSelection = regions.current.enableDragSelection({ color: LOOP_COLOR })
+    bindLoopRegion(regions.current, { onChange: setLoop, onDrawn: () => setLoopEnabled(true) })
+    wavesurfer.current.on('interaction', (time) => engine.current?.seek(time))
+    wavesurfer.current.on('zoom', (pxPerSec) => setZoom(pxPerSec))
+    const seekToFraction = (fraction) => engine.current?.seek(fraction * engine.current.duration)
+    minimap.on('click', seekToFraction)
+    minimap.on('drag', seekToFraction)
+
+    // The container only exists once videoInfo renders, so peaks that arrived earlier are drawn here
+    if (waveform.current) {
+      wavesurfer.current.load('', waveform.current.peaks, waveform.current.duration)
+    }
+
     return () => {
+      disableDragSelection()
       wavesurfer.current?.destroy()
       wavesurfer.current = null
+      regions.current = null
     }
   }, [videoInfo])
 
-  const handleLoadVideo = async () => {
-    if (!url) return
+  // Keep the waveform region in step with loop points changed from the nudge buttons
+  useEffect(() => {
+    if (regions.current) showLoopRegion(regions.current, loop, LOOP_COLOR)
+  }, [loop])
+
+  useEffect(() => {
+    engine.current?.setLoop(loopEnabled ? loop : null)
+  }, [loop, loopEnabled])
+
+  useEffect(() => saveLibrary(library), [library])
+
+  // Keep the loaded song's preset up to date as its settings change
+  useEffect(() => {
+    if (!isReady || !songId) return
+    // Values carried over from the previous track are not this song's; its preset keeps its own until they are changed here
+    const playback = { pitch, cents, speed }
+    const carry = carried.current
+    if (carry) {
+      for (const name of Object.keys(carry.values)) {
+        if (playback[name] !== carry.values[name]) delete carry.values[name]
+        else playback[name] = carry.own[name]
+      }
+    }
+    setLibrary(prev => saveSong(prev, {
+      id: songId, title: videoInfo.title, url: videoInfo.url, ...playback, loop, loopEnabled, loops: savedLoops, notes
+    }))
+  }, [isReady, songId, videoInfo, pitch, cents, speed, loop, loopEnabled, savedLoops, notes])
+
+  const resetPlayer = () => {
     setIsLoading(true)
     setIsReady(false)
     setVideoInfo(null)
+    engine.current.stop()
+    waveform.current = null
+    loadToken.current++
+    setSongId(null)
+    setZoom(0)
+    stopWatchingDownload()
+    setAnalysis(null)
+    setTargetBpm('')
+    setLoop(null)
+    setLoopEnabled(false)
+  }
+
+  const showWaveform = (peaks, duration) => {
+    waveform.current = { peaks, duration }
+    wavesurfer.current?.load('', peaks, duration)
+  }
+
+  // The decoded track is already in memory, so its samples double as peaks (WaveSurfer downsamples them)
+  const showWaveformFromBuffer = (buffer) => {
+    const channels = Math.min(buffer.numberOfChannels, 2)
+    showWaveform(Array.from({ length: channels }, (_, ch) => buffer.getChannelData(ch)), buffer.duration)
+  }
+
+  const fetchPeaks = async (videoUrl, requestId) => {
+    const res = await apiFetch(`/peaks?url=${encodeURIComponent(videoUrl)}`, { headers: { 'X-Request-Id': requestId } })
+    if (!res.ok) throw new Error(`Peaks request failed (${res.status})`)
+    const { duration, levels } = await res.json()
+    // Coarsest level that still has a peak per pixel at full zoom; WaveSurfer downsamples for wider views
+    const level = levels.find(l => l.peaksPerSecond >= MAX_ZOOM) || levels[levels.length - 1]
+    return { peaks: [level.data], duration }
+  }
+
+  // The backend publishes its download jobs for a video over SSE while /stream waits on them
+  const watchDownload = (videoUrl, requestId) => {
+    stopWatchingDownload()
+    const events = new EventSource(`${API_BASE}/progress?url=${encodeURIComponent(videoUrl)}`)
+    events.addEventListener('progress', (e) => {
+      const job = JSON.parse(e.data)
+      setDownload(job)
+      if (job.state === 'failed') addLog(`Download via ${job.source || 'backend'} failed: ${job.error}`, { level: 'error', requestId })
+    })
+    progressEvents.current = events
+  }
+
+  const stopWatchingDownload = () => {
+    progressEvents.current?.close()
+    progressEvents.current = null
+    setDownload(null)
+  }
+
+  // `queuePosition` is the queue entry being loaded; `keepPlayback` keeps the current pitch and speed
+  const handleLoadVideo = async (videoUrl = url, { queuePosition = -1, keepPlayback = false, autoplay = false } = {}) => {
+    if (!videoUrl) return
+    resetPlayer()
+    // A later load bumps loadToken; from then on this one only stops quietly
+    const token = loadToken.current
+    setQueueIndex(queuePosition)
+    // Every request of this load shares one X-Request-Id, so the log window can show it as a whole
+    const requestId = createRequestId()
+    const log = (msg, level) => addLog(msg, { level, requestId })
+    setLoadRequestId(requestId)
 
     try {
-      addLog(`Initiating load for: ${url}`)
-      console.log('[FRONTEND] Starting handleLoadVideo for:', url)
+      log(`Initiating load for: ${videoUrl}`)
+      console.log('[FRONTEND] Starting handleLoadVideo for:', videoUrl)
 
       // 1. Get Metadata
-      addLog(`Fetching metadata...`)
-      const infoRes = await fetch(`${API_BASE}/info?url=${encodeURIComponent(url)}`)
+      log(`Fetching metadata...`)
+      const infoRes = await apiFetch(`/info?url=${encodeURIComponent(videoUrl)}`, { headers: { 'X-Request-Id': requestId } })
       console.log('[FRONTEND] Metadata response status:', infoRes.status)
+      if (token !== loadToken.current) return
 
       if (!infoRes.ok) {
         let errorHint = infoRes.statusText
@@ -157,92 +555,454 @@ function App() {
       }
 
       const info = await infoRes.json()
-      setVideoInfo(info)
-      addLog(`Metadata loaded: ${info.title}`)
+      if (token !== loadToken.current) return
 
-      // 2. Load Audio for Tone.js and WaveSurfer
-      const streamUrl = `${API_BASE}/stream?url=${encodeURIComponent(url)}`
-      addLog(`Loading stream into audio engine...`)
+      // 2. Load Audio into the engine and WaveSurfer
+      const streamUrl = `${API_BASE}/stream?url=${encodeURIComponent(videoUrl)}`
+      setVideoInfo(info)
+      log(`Metadata loaded: ${info.title}`)
+      log(`Loading stream into audio engine...`)
       console.log('[FRONTEND] Streaming from:', streamUrl)
 
-      // Fetch backend logs to see if there were any hidden errors
-      fetchBackendLogs()
+      console.log('[FRONTEND] Loading audio engine (this might take a while for large files)...')
+      watchDownload(videoUrl, requestId)
+      const peaksShown = fetchPeaks(videoUrl, requestId)
+        .then(({ peaks, duration }) => {
+          if (token !== loadToken.current) return false
+          showWaveform(peaks, duration)
+          return true
+        })
+        .catch((err) => {
+          log(`Waveform peaks unavailable (${err.message}); drawing from the decoded audio`, 'warn')
+          return false
+        })
+      await engine.current.load(streamUrl, { headers: { ...authHeaders(), 'X-Request-Id': requestId } })
+      if (token !== loadToken.current) return // another track was requested meanwhile
+      stopWatchingDownload()
+      console.log('[FRONTEND] Audio engine loaded')
 
-      // Load Waveview
-      if (wavesurfer.current) {
-        console.log('[FRONTEND] Loading Wavesurfer...')
-        wavesurfer.current.load(streamUrl)
-      }
+      restoreSong(remoteSongId(info), { keepPlayback })
 
-      // Load Tone player
-      if (player.current) {
-        console.log('[FRONTEND] Loading Tone Player (this might take a while for large files)...')
-        addLog(`Buffering audio (please wait)...`)
-        await player.current.load(streamUrl)
-        console.log('[FRONTEND] Tone Player loaded')
-      }
+      const buffer = engine.current.buffer
+      peaksShown.then((shown) => {
+        if (!shown && token === loadToken.current) showWaveformFromBuffer(buffer)
+      })
 
       setIsReady(true)
-      addLog(`SUCCESS: Audio engine ready`)
+      log(`SUCCESS: Audio engine ready`)
+      if (autoplay) engine.current.play()
+      analyzeTrack()
       console.log('[FRONTEND] Load complete')
-      fetchBackendLogs()
+      fetchBackendLogs(requestId)
     } catch (err) {
+      if (token !== loadToken.current) return // failed after being superseded, e.g. its stream was cut off
+      stopWatchingDownload()
       console.error('Load error:', err)
-      addLog(`FATAL ERROR: ${err.message}`)
-      fetchBackendLogs()
+      log(`FATAL ERROR: ${err.message}`, 'error')
+      fetchBackendLogs(requestId)
       setVideoInfo(null)
       const errorMsg = `Error connecting to: ${API_BASE}\n\nDetails: ${err.message}\n\nCheck 'View Technical Logs' for more info.`
       alert(errorMsg)
     } finally {
+      if (token === loadToken.current) setIsLoading(false)
+    }
+  }
+
+  const handleLoadFile = async (file) => {
+    if (!file) return
+    if (!isAudioFile(file)) {
+      alert(`Unsupported file: ${file.name}\n\nSupported formats: ${AUDIO_EXTENSIONS.join(', ').toUpperCase()}`)
+      return
+    }
+    resetPlayer()
+    const token = loadToken.current
+    setQueueIndex(-1)
+
+    try {
+      addLog(`Loading local file: ${file.name} (${(file.size / 1024 / 1024).toFixed(1)} MB)`)
+      const [duration, id] = await Promise.all([
+        engine.current.load(file),
+        fileSongId(file).catch((err) => {
+          addLog(`Could not identify ${file.name} for saved settings: ${err.message}`, { level: 'warn' })
+          return null
+        })
+      ])
+      if (token !== loadToken.current) return // another track was requested meanwhile
+      if (id) restoreSong(id)
+
+      showWaveformFromBuffer(engine.current.buffer)
+      setVideoInfo({
+        source: 'local',
+        title: file.name.replace(/\.[^.]+$/, ''),
+        thumbnail: '',
+        duration,
+        author: { name: 'Local file' }
+      })
+      setIsReady(true)
+      addLog(`SUCCESS: Local file decoded (${formatTime(duration)})`)
+      analyzeTrack()
+    } catch (err) {
+      if (token !== loadToken.current) return
+      console.error('File load error:', err)
+      addLog(`FATAL ERROR: Could not decode ${file.name}: ${err.message}`, { level: 'error' })
+      setVideoInfo(null)
+      alert(`Could not decode ${file.name}.\n\nDetails: ${err.message}`)
+    } finally {
+      if (token === loadToken.current) setIsLoading(false)
+    }
+  }
+
+  // Applies the song's saved preset, or neutral settings so one song's transposition never leaks into the next.
+  // With `keepPlayback` the current pitch and speed stay (queue carry-over); loops and notes still come from the preset.
+  const restoreSong = (id, { keepPlayback = false } = {}) => {
+    const preset = library.songs[id]
+    const own = { ...DEFAULT_SETTINGS, ...preset }
+    const settings = { ...own, ...(keepPlayback && { pitch, cents, speed }) }
+    carried.current = keepPlayback
+      ? { values: { pitch, cents, speed }, own: { pitch: own.pitch, cents: own.cents, speed: own.speed } }
+      : null
+    setSongId(id)
+    setPitch(settings.pitch)
+    setCents(settings.cents)
+    setSpeed(settings.speed)
+    engine.current.setPitch(settings.pitch + settings.cents / 100)
+    engine.current.setRate(settings.speed)
+    setLoop(settings.loop)
+    setLoopEnabled(settings.loopEnabled)
+    setSavedLoops(settings.loops)
+    setNotes(settings.notes)
+    if (preset) addLog(`Restored saved settings: ${describeSettings(settings)}${settings.loops.length ? `, ${settings.loops.length} saved loop(s)` : ''}`)
+  }
+
+  const handleLoad = () => {
+    if (isSearchQuery(url)) handleSearch(url.trim())
+    else if (playlistIdOf(url)) handleLoadPlaylist(url)
+    else handleLoadVideo()
+  }
+
+  const handleSearch = async (query) => {
+    setIsSearching(true)
+    addLog(`Searching YouTube for "${query}"...`)
+    try {
+      const res = await apiFetch(`/search?q=${encodeURIComponent(query)}`)
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(`Search failed (${res.status}): ${data.details || data.error || res.statusText}`)
+      setSearch(data)
+      addLog(`Search returned ${data.results.length} videos`)
+    } catch (err) {
+      console.error('Search error:', err)
+      addLog(`Search error: ${err.message}`, { level: 'error' })
+      alert(`Could not search YouTube.\n\nDetails: ${err.message}`)
+    } finally {
+      setIsSearching(false)
+    }
+  }
+
+  const loadSearchResult = (result) => {
+    const resultUrl = watchUrl(result.id)
+    setSearch(null)
+    setUrl(resultUrl)
+    handleLoadVideo(resultUrl)
+  }
+
+  // Queues every video of the playlist and starts with the one the link points at (or the first)
+  const handleLoadPlaylist = async (playlistUrl) => {
+    setIsLoading(true)
+    addLog(`Resolving playlist...`)
+    try {
+      const res = await apiFetch(`/playlist?url=${encodeURIComponent(playlistUrl)}`)
+      const data = await res.json().catch(() => ({}))
+      if (!res.ok) throw new Error(`Playlist fetch failed (${res.status}): ${data.details || data.error || res.statusText}`)
+      if (!data.entries.length) throw new Error('The playlist has no playable videos')
+      addLog(`Playlist "${data.title}": ${data.entries.length} videos via ${data.source}${data.truncated ? ' (only the first ones were loaded)' : ''}`)
+
+      const linkedVideo = new URL(playlistUrl.trim()).searchParams.get('v')
+      const start = Math.max(0, data.entries.findIndex(entry => entry.id === linkedVideo))
+      setQueue({ title: data.title, entries: data.entries })
+      playQueueEntry(start, { entries: data.entries })
+    } catch (err) {
+      console.error('Playlist error:', err)
+      addLog(`FATAL ERROR: ${err.message}`, { level: 'error' })
       setIsLoading(false)
+      alert(`Could not load the playlist.\n\nDetails: ${err.message}`)
     }
   }
 
-  const fetchBackendLogs = async () => {
+  const playQueueEntry = (index, { entries = queue?.entries, autoplay = false } = {}) => {
+    const entry = entries?.[index]
+    if (!entry) return
+    handleLoadVideo(watchUrl(entry.id), { queuePosition: index, keepPlayback: queueSettings === 'carry', autoplay })
+  }
+
+  // Reordering keeps the playing entry marked as playing
+  const moveQueueEntry = (from, to) => {
+    if (to < 0 || to >= queue.entries.length) return
+    const entries = [...queue.entries]
+    entries.splice(to, 0, ...entries.splice(from, 1))
+    setQueue({ ...queue, entries })
+    if (queueIndex === from) setQueueIndex(to)
+    else if (from < queueIndex && to >= queueIndex) setQueueIndex(queueIndex - 1)
+    else if (from > queueIndex && to <= queueIndex && queueIndex >= 0) setQueueIndex(queueIndex + 1)
+  }
+
+  const removeQueueEntry = (index) => {
+    setQueue({ ...queue, entries: queue.entries.filter((_, i) => i !== index) })
+    if (index === queueIndex) setQueueIndex(-1)
+    else if (index < queueIndex) setQueueIndex(queueIndex - 1)
+  }
+
+  const clearQueue = () => {
+    setQueue(null)
+    setQueueIndex(-1)
+  }
+
+  const hasNext = queue && queueIndex < queue.entries.length - 1
+  const hasPrevious = queue && queueIndex > 0
+  onTrackEnded.current = hasNext && !isLoading ? () => playQueueEntry(queueIndex + 1, { autoplay: true }) : null
+
+  const analyzeTrack = async () => {
+    const buffer = engine.current.buffer
+    if (!buffer) return
+    setIsAnalyzing(true)
     try {
-      const res = await fetch(`${API_BASE}/logs`)
+      const results = await analyzeBuffer(buffer)
+      // Ignore results for a track that has since been replaced
+      if (engine.current?.buffer !== buffer) return
+      setAnalysis(results)
+      const { tuning, key, tempo } = results
+      addLog(`Tuning analysis: ${formatSigned(tuning.cents)} cents, likely A=${Math.round(tuning.referenceHz)} (confidence ${tuning.confidence})`)
+      addLog(`Key analysis: ${key.name} (confidence ${key.confidence})`)
+      addLog(tempo.bpm ? `Tempo analysis: ${tempo.bpm} BPM (confidence ${tempo.confidence})` : 'Tempo analysis: no steady beat found')
+    } catch (err) {
+      console.error('Analysis error:', err)
+      addLog(`Analysis failed: ${err.message}`, { level: 'error' })
+    } finally {
+      setIsAnalyzing(false)
+    }
+  }
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return
+    e.preventDefault()
+    setIsDragging(true)
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setIsDragging(false)
+    handleLoadFile(e.dataTransfer.files[0])
+  }
+
+  // Pulls the backend records we don't have yet (the live tail covers this while the log window is open)
+  const fetchBackendLogs = async (requestId) => {
+    const scope = backendLogScope(requestId)
+    if (!scope) return
+    try {
+      const res = await apiFetch(`/logs?${scope}`)
       const data = await res.json()
-      if (data.logs) {
-        data.logs.forEach(msg => addLog(`[BACKEND] ${msg}`))
+      if (!res.ok) throw new Error(data.details || data.error)
+      // A restarted backend numbers its records from 1 again
+      if (data.last_id < backendLogCursor.current) {
+        backendLogCursor.current = 0
+        return fetchBackendLogs(requestId)
       }
+      addBackendLogs(data.logs)
     } catch (e) {
       console.error('Failed to fetch backend logs:', e)
     }
   }
 
-  const togglePlayback = async () => {
-    if (Tone.context.state !== 'running') {
-      await Tone.start()
+  // Renders offline with the current pitch, speed and (enabled) loop region, then downloads the file
+  const handleExport = async () => {
+    const buffer = engine.current.buffer
+    if (!buffer) return
+    const format = EXPORT_FORMATS.find(f => f.id === exportFormat)
+    const semitones = pitch + cents / 100
+    const region = loopEnabled ? loop : null
+    setIsExporting(true)
+    addLog(`Exporting ${format.label}${region ? ` of ${formatTime(region.start)}-${formatTime(region.end)}` : ''}...`)
+    try {
+      const started = performance.now()
+      const blob = await exportAudio(buffer, { semitones, rate: speed, quality, region }, format.id)
+      downloadBlob(blob, exportFileName(videoInfo?.title, semitones, speed, format.extension))
+      addLog(`Export finished in ${((performance.now() - started) / 1000).toFixed(1)}s (${(blob.size / 1048576).toFixed(1)} MB)`)
+    } catch (err) {
+      console.error('Export error:', err)
+      addLog(`Export failed: ${err.message}`, { level: 'error' })
+    } finally {
+      setIsExporting(false)
     }
+  }
+
+  // Zoom steps double or halve the scale; anything at or below the fitted width snaps back to fit
+  const zoomBy = (factor) => {
+    const ws = wavesurfer.current
+    if (!ws?.getDecodedData()) return
+    const fit = waveformRef.current.clientWidth / ws.getDuration()
+    const next = Math.min(MAX_ZOOM, (zoom || fit) * factor)
+    ws.zoom(next <= fit ? 0 : next)
+  }
+
+  const togglePlayback = () => {
+    if (isPlaying) engine.current.pause()
+    else engine.current.play()
+  }
+
+  const updateLoop = (start, end) => {
+    const duration = engine.current.duration
+    start = Math.max(0, Math.min(start, duration - MIN_LOOP_LENGTH))
+    end = Math.max(start + MIN_LOOP_LENGTH, Math.min(end, duration))
+    setLoop({ start, end })
+  }
 
-    if (isPlaying) {
-      player.current.stop()
-      wavesurfer.current.pause()
+  const nudgeLoop = (side, delta) => {
+    if (!loop) return
+    if (side === 'start') updateLoop(loop.start + delta, loop.end)
+    else updateLoop(loop.start, loop.end + delta)
+  }
+
+  const setLoopPoint = (side) => {
+    const position = engine.current.position
+    if (side === 'start') updateLoop(position, loop && loop.end > position ? loop.end : position + 5)
+    else updateLoop(loop && loop.start < position ? loop.start : Math.max(0, position - 5), position)
+    setLoopEnabled(true)
+  }
+
+  const clearLoop = () => {
+    setLoop(null)
+    setLoopEnabled(false)
+  }
+
+  const saveCurrentLoop = () => {
+    if (!loop) return
+    const name = prompt('Name this loop (e.g. "Solo")', `Loop ${savedLoops.length + 1}`)
+    if (name === null) return
+    setSavedLoops(prev => [...prev, createSavedLoop(loop, name.trim())].sort((a, b) => a.start - b.start))
+  }
+
+  const recallLoop = (saved) => {
+    setLoop({ start: saved.start, end: saved.end })
+    setLoopEnabled(true)
+  }
+
+  // Setlists: the selected one, or the first if none was picked yet
+  const setlist = library.setlists.find(s => s.id === setlistId) || library.setlists[0]
+
+  const handleNewSetlist = () => {
+    const name = prompt('Setlist name', `Setlist ${library.setlists.length + 1}`)?.trim()
+    if (!name) return
+    const created = createSetlist(library, name)
+    setLibrary(created.library)
+    setSetlistId(created.setlist.id)
+  }
+
+  const handleRenameSetlist = () => {
+    const name = prompt('Rename setlist', setlist.name)?.trim()
+    if (name) setLibrary(renameSetlist(library, setlist.id, name))
+  }
+
+  const handleDeleteSetlist = () => {
+    if (!confirm(`Delete the setlist "${setlist.name}"? Saved song settings are kept.`)) return
+    setLibrary(deleteSetlist(library, setlist.id))
+    setSetlistId(null)
+  }
+
+  const handleExportSetlist = () => {
+    const json = exportSetlists(library, [setlist.id])
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${safeFileName(setlist.name) || 'setlist'}.setlist.json`)
+    addLog(`Exported setlist "${setlist.name}" (${setlist.songIds.length} songs)`)
+  }
+
+  const handleImportSetlists = async (file) => {
+    if (!file) return
+    try {
+      const { library: merged, count } = importSetlists(library, await file.text())
+      setLibrary(merged)
+      if (count) setSetlistId(merged.setlists[merged.setlists.length - 1].id)
+      addLog(`Imported ${count} setlist(s) from ${file.name}`)
+    } catch (err) {
+      addLog(`Setlist import failed: ${err.message}`, { level: 'error' })
+      alert(`Could not import ${file.name}.\n\nDetails: ${err.message}`)
+    }
+  }
+
+  const addCurrentSong = () => {
+    setLibrary(addToSetlist(library, setlist.id, {
+      id: songId, title: videoInfo.title, url: videoInfo.url, pitch, cents, speed, loop, loopEnabled, loops: savedLoops, notes
+    }))
+  }
+
+  // Linked songs reload straight away; local files have to be picked again, then their preset applies
+  const openSong = (song) => {
+    const songUrl = song.id.startsWith('youtube:') ? youtubeUrl(song.id) : song.url
+    if (songUrl) {
+      setUrl(songUrl)
+      handleLoadVideo(songUrl)
     } else {
-      player.current.start()
-      wavesurfer.current.play()
+      addLog(`Open "${song.title}" from disk to load it with its saved settings`)
+      fileInputRef.current?.click()
     }
-    setIsPlaying(!isPlaying)
   }
 
   const updatePitch = (val) => {
     const p = parseFloat(val)
     setPitch(p)
-    if (pitchShift.current) pitchShift.current.pitch = p
+    engine.current.setPitch(p + cents / 100)
+  }
+
+  const updateCents = (val) => {
+    const c = parseFloat(val)
+    setCents(c)
+    engine.current.setPitch(pitch + c / 100)
+  }
+
+  // Cancel the recording's measured offset so it plays at A=440
+  const correctTuning = () => {
+    if (analysis?.tuning) updateCents(-Math.round(analysis.tuning.cents))
+  }
+
+  // Pick the smallest semitone shift that lands the detected key on the target tonic
+  const transposeToKey = (tonic) => {
+    if (analysis?.key) updatePitch(semitonesBetween(analysis.key.tonic, tonic))
+  }
+
+  const updateQuality = (mode) => {
+    setQuality(mode)
+    engine.current.setQuality(mode)
   }
 
   const updateSpeed = (val) => {
     const s = parseFloat(val)
     setSpeed(s)
-    if (player.current) {
-      player.current.playbackRate = s
-      wavesurfer.current.setPlaybackRate(s)
+    engine.current.setRate(s)
+  }
+
+  // e.g. a 120 BPM track with a 96 BPM target plays at 0.8x
+  const applyTargetBpm = (e) => {
+    e.preventDefault()
+    const target = parseFloat(targetBpm)
+    const bpm = analysis?.tempo?.bpm
+    if (!bpm || !(target > 0)) return
+    const ratio = Math.min(MAX_SPEED, Math.max(MIN_SPEED, target / bpm))
+    if (ratio !== target / bpm) {
+      addLog(`Target ${target} BPM is outside ${MIN_SPEED}x-${MAX_SPEED}x of ${bpm} BPM; clamped to ${ratio}x`, { level: 'warn' })
     }
+    updateSpeed(Math.round(ratio * 1000) / 1000)
   }
 
+  const visibleLogs = logs.filter(entry =>
+    LOG_LEVELS.indexOf(entry.level) >= LOG_LEVELS.indexOf(logFilter.level) &&
+    (logFilter.source === 'all' || entry.source === logFilter.source) &&
+    (!logFilter.lastLoadOnly || entry.requestId === loadRequestId))
+
   return (
     <div className="app-container">
-      <div className="glass-panel">
+      <div
+        className={`glass-panel ${isDragging ? 'drag-active' : ''}`}
+        onDragOver={handleDragOver}
+        onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setIsDragging(false)}
+        onDrop={handleDrop}
+      >
         <header className="header">
           <div className="top-bar">
             <div className="status-badge-container">
@@ -255,12 +1015,32 @@ function App() {
               {userSession ? (
                 <div className="user-info">
                   <span className="user-name">👤 {userSession.name}</span>
+                  {userSession.cookies?.expiring_soon && (
+                    <span className="cookie-warning" title="Export a fresh cookies.txt and import it again">
+                      Cookies expire {new Date(userSession.cookies.expires_at).toLocaleDateString()}
+                    </span>
+                  )}
                   <button onClick={handleLogout} className="btn-text">Sign Out</button>
                 </div>
               ) : (
-                <button onClick={handleLogin} className="btn btn-secondary btn-sm" disabled={authFlow === 'loading'}>
-                  {authFlow === 'loading' ? 'Starting...' : 'Sign In with Google'}
-                </button>
+                <>
+                  <button onClick={handleLogin} className="btn btn-secondary btn-sm" disabled={authFlow === 'loading'}>
+                    {authFlow === 'loading' ? 'Starting...' : 'Sign In with Google'}
+                  </button>
+                  <button onClick={() => cookieInputRef.current?.click()} className="btn-text" title="Sign in with a Netscape cookies.txt exported from your browser">
+                    Import cookies.txt
+                  </button>
+                  <input
+                    ref={cookieInputRef}
+                    type="file"
+                    accept=".txt,text/plain"
+                    hidden
+                    onChange={(e) => {
+                      handleImportCookies(e.target.files[0])
+                      e.target.value = ''
+                    }}
+                  />
+                </>
               )}
             </div>
           </div>
@@ -272,13 +1052,26 @@ function App() {
           <div className="auth-overlay">
             <div className="auth-modal">
               <h3>YouTube Authentication</h3>
-              <p>To access restricted content, follow these steps:</p>
-              <ol>
-                <li>Go to: <a href={authFlow.verification_url} target="_blank" rel="noreferrer">{authFlow.verification_url}</a></li>
-                <li>Enter this code: <strong className="auth-code">{authFlow.user_code}</strong></li>
-              </ol>
-              <p className="small">The application will automatically detect when you've finished.</p>
-              <button onClick={() => setAuthFlow(null)} className="btn btn-text">Cancel</button>
+              {authFlow.state === 'pending' ? (
+                <>
+                  <p>To access restricted content, follow these steps:</p>
+                  <ol>
+                    <li>Go to: <a href={authFlow.verification_url} target="_blank" rel="noreferrer">{authFlow.verification_url}</a></li>
+                    <li>Enter this code: <strong className="auth-code">{authFlow.user_code}</strong></li>
+                  </ol>
+                  <CodeCountdown expiresAt={authFlow.expires_at} />
+                  <p className="small">The application will automatically detect when you've finished.</p>
+                  <button onClick={closeAuthFlow} className="btn btn-text">Cancel</button>
+                </>
+              ) : (
+                <>
+                  <p className="auth-result">
+                    {authFlow.state === 'expired' ? 'The code expired before it was entered.' : `Sign-in ${authFlow.state}: ${authFlow.error}`}
+                  </p>
+                  <button onClick={handleLogin} className="btn btn-secondary btn-sm">Try again</button>
+                  <button onClick={closeAuthFlow} className="btn btn-text">Close</button>
+                </>
+              )}
             </div>
           </div>
         )}
@@ -288,43 +1081,227 @@ function App() {
             <Youtube className="yt-icon" />
             <input
               type="text"
-              placeholder="Paste YouTube URL here..."
+              placeholder="Paste a YouTube, SoundCloud or Bandcamp link, or search..."
               value={url}
               onChange={(e) => setUrl(e.target.value)}
-              onKeyDown={(e) => e.key === 'Enter' && handleLoadVideo()}
+              onKeyDown={(e) => e.key === 'Enter' && handleLoad()}
             />
             <button
               className="btn btn-primary"
-              onClick={handleLoadVideo}
-              disabled={isLoading || !url}
+              onClick={handleLoad}
+              disabled={isLoading || isSearching || !url.trim()}
             >
-              {isLoading ? <Loader2 className="animate-spin" /> : 'LOAD'}
+              {isLoading || isSearching ? <Loader2 className="animate-spin" /> : url && isSearchQuery(url) ? <Search size={20} /> : 'LOAD'}
             </button>
+            <button
+              className="btn btn-secondary btn-file"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isLoading}
+              title="Open a local audio file"
+            >
+              <FolderOpen size={18} />
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={AUDIO_ACCEPT}
+              hidden
+              onChange={(e) => {
+                handleLoadFile(e.target.files[0])
+                e.target.value = ''
+              }}
+            />
           </div>
+          {search && (
+            <div className="search-results">
+              <div className="search-header">
+                <span>{search.results.length ? `Results for "${search.query}"` : `No videos found for "${search.query}"`}</span>
+                <button className="btn-refresh" onClick={() => setSearch(null)} title="Close results"><X size={14} /></button>
+              </div>
+              <ul>
+                {search.results.map(result => (
+                  <li key={result.id}>
+                    <button className="search-result" onClick={() => loadSearchResult(result)} disabled={isLoading}>
+                      {result.thumbnail ? (
+                        <img src={result.thumbnail} alt="" className="search-thumbnail" loading="lazy" />
+                      ) : (
+                        <div className="search-thumbnail thumbnail-placeholder"><Youtube size={20} /></div>
+                      )}
+                      <span className="search-text">
+                        <span className="search-title">{result.title}</span>
+                        <span className="search-meta">
+                          {[result.author, result.duration ? formatClock(result.duration) : '', result.views].filter(Boolean).join(' · ')}
+                        </span>
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </section>
 
         {videoInfo && (
           <section className="player-section animate-fade-in">
             <div className="video-meta">
-              <img src={videoInfo.thumbnail} alt="thumbnail" className="thumbnail" />
+              {videoInfo.thumbnail ? (
+                <img src={videoInfo.thumbnail} alt="thumbnail" className="thumbnail" />
+              ) : (
+                <div className="thumbnail thumbnail-placeholder"><FileAudio size={32} /></div>
+              )}
               <div className="meta-text">
                 <h3>{videoInfo.title}</h3>
                 <p>{videoInfo.author.name}</p>
               </div>
             </div>
 
+            {download && (
+              <div className="download-progress">
+                <div className="download-label">
+                  <span>
+                    {download.state === 'transcoding' ? 'Converting' : download.state === 'done' ? 'Downloaded' : 'Downloading'}
+                    {download.source && ` via ${download.source}`}
+                  </span>
+                  <span>
+                    {download.percent !== null && `${Math.round(download.percent)}% · `}
+                    {formatMegabytes(download.bytes)}{download.total && ` / ${formatMegabytes(download.total)}`}
+                  </span>
+                </div>
+                <div className="progress-track">
+                  <div
+                    className={`progress-fill ${download.percent === null ? 'indeterminate' : ''}`}
+                    style={{ width: `${download.percent ?? 100}%` }}
+                  />
+                </div>
+              </div>
+            )}
             <div className="waveform-container" ref={waveformRef}></div>
 
+            <div className="timeline-row">
+              <Timeline engine={engine.current} duration={isReady ? engine.current.duration : 0} />
+              <div className="zoom-controls">
+                <button className="btn-nudge" onClick={() => zoomBy(1 / ZOOM_STEP)} disabled={!isReady || zoom === 0} title="Zoom out">
+                  <ZoomOut size={14} />
+                </button>
+                <button className="btn-nudge" onClick={() => wavesurfer.current?.zoom(0)} disabled={!isReady || zoom === 0} title="Fit whole track">
+                  <Maximize2 size={14} />
+                </button>
+                <button className="btn-nudge" onClick={() => zoomBy(ZOOM_STEP)} disabled={!isReady || zoom >= MAX_ZOOM} title="Zoom in (or scroll on the waveform)">
+                  <ZoomIn size={14} />
+                </button>
+              </div>
+            </div>
+
+            <div className="loop-controls">
+              <button
+                className={`btn-loop-toggle ${loopEnabled ? 'active' : ''}`}
+                onClick={() => setLoopEnabled(!loopEnabled)}
+                disabled={!loop}
+                title="Toggle A-B loop"
+              >
+                <Repeat size={16} /> Loop
+              </button>
+              <div className="loop-point">
+                <button className="btn-loop-set" onClick={() => setLoopPoint('start')} disabled={!isReady}>A</button>
+                <button className="btn-nudge" onClick={() => nudgeLoop('start', -NUDGE_STEP)} disabled={!loop}>−</button>
+                <span className="loop-time">{loop ? formatTime(loop.start) : '--:--.--'}</span>
+                <button className="btn-nudge" onClick={() => nudgeLoop('start', NUDGE_STEP)} disabled={!loop}>+</button>
+              </div>
+              <div className="loop-point">
+                <button className="btn-loop-set" onClick={() => setLoopPoint('end')} disabled={!isReady}>B</button>
+                <button className="btn-nudge" onClick={() => nudgeLoop('end', -NUDGE_STEP)} disabled={!loop}>−</button>
+                <span className="loop-time">{loop ? formatTime(loop.end) : '--:--.--'}</span>
+                <button className="btn-nudge" onClick={() => nudgeLoop('end', NUDGE_STEP)} disabled={!loop}>+</button>
+              </div>
+              <button className="btn-refresh" onClick={clearLoop} disabled={!loop} title="Clear loop">
+                <X size={16} />
+              </button>
+              <button className="btn-refresh" onClick={saveCurrentLoop} disabled={!loop} title="Save this loop with the song">
+                <Bookmark size={16} />
+              </button>
+            </div>
+            {savedLoops.length > 0 && (
+              <div className="saved-loops">
+                {savedLoops.map((saved) => (
+                  <span key={saved.id} className={`saved-loop ${loop?.start === saved.start && loop?.end === saved.end ? 'active' : ''}`}>
+                    <button onClick={() => recallLoop(saved)} title={`${formatTime(saved.start)} - ${formatTime(saved.end)}`}>
+                      {saved.name || formatTime(saved.start)}
+                    </button>
+                    <button onClick={() => setSavedLoops(prev => prev.filter(l => l.id !== saved.id))} title="Forget this loop">
+                      <X size={12} />
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            <p className="loop-hint">Drag across the waveform or use A / B at the playhead to set a loop.</p>
+
             <div className="controls-grid">
               <div className="control-group">
                 <div className="label-row">
                   <span>Pitch</span>
-                  <span className="badge">{pitch > 0 ? `+${pitch}` : pitch} semi</span>
+                  <span className="badge">{formatSigned(pitch)} semi</span>
                 </div>
                 <input
                   type="range" min="-12" max="12" step="1"
                   value={pitch} onChange={(e) => updatePitch(e.target.value)}
                 />
+                <div className="label-row fine-row">
+                  <span>Fine tune</span>
+                  <span className="badge">{formatSigned(cents)} cents</span>
+                </div>
+                <input
+                  type="range" min="-50" max="50" step="1"
+                  value={cents} onChange={(e) => updateCents(e.target.value)}
+                  onDoubleClick={() => updateCents(0)}
+                />
+                <div className="analysis-row">
+                  {analysis?.tuning ? (
+                    <>
+                      <span>
+                        Recording: {formatSigned(analysis.tuning.cents)} cents, likely A={Math.round(analysis.tuning.referenceHz)}
+                        {analysis.tuning.confidence < 0.3 && ' (low confidence)'}
+                      </span>
+                      <button
+                        className="btn-analysis"
+                        onClick={correctTuning}
+                        disabled={cents === -Math.round(analysis.tuning.cents)}
+                      >
+                        Correct to A440
+                      </button>
+                    </>
+                  ) : isAnalyzing ? (
+                    <span><Loader2 size={12} className="animate-spin" /> Analysing tuning and key...</span>
+                  ) : null}
+                </div>
+                {analysis?.key && (
+                  <div className="analysis-row">
+                    <span>
+                      Key: {analysis.key.name}
+                      {pitch !== 0 && <> &rarr; <strong>{keyName(analysis.key.tonic + pitch, analysis.key.mode)}</strong></>}
+                      {analysis.key.confidence < 0.05 && ' (uncertain)'}
+                    </span>
+                    <label className="inline-select">
+                      <span>Play in</span>
+                      <select
+                        value={(((analysis.key.tonic + pitch) % 12) + 12) % 12}
+                        onChange={(e) => transposeToKey(parseInt(e.target.value))}
+                      >
+                        {KEY_NAMES.map((name, tonic) => (
+                          <option key={name} value={tonic}>{keyName(tonic, analysis.key.mode)}</option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                )}
+                <label className="inline-select">
+                  <span>Quality</span>
+                  <select value={quality} onChange={(e) => updateQuality(e.target.value)}>
+                    {QUALITY_MODES.map(mode => (
+                      <option key={mode.id} value={mode.id}>{mode.label}</option>
+                    ))}
+                  </select>
+                </label>
               </div>
 
               <div className="control-group">
@@ -333,13 +1310,41 @@ function App() {
                   <span className="badge">{speed}x</span>
                 </div>
                 <input
-                  type="range" min="0.5" max="2" step="0.05"
+                  type="range" min={MIN_SPEED} max={MAX_SPEED} step="0.05"
                   value={speed} onChange={(e) => updateSpeed(e.target.value)}
+                  onDoubleClick={() => updateSpeed(1)}
                 />
+                <div className="analysis-row">
+                  {analysis?.tempo?.bpm ? (
+                    <>
+                      <span>
+                        Tempo: {analysis.tempo.bpm} BPM
+                        {speed !== 1 && <> &rarr; <strong>{Math.round(analysis.tempo.bpm * speed * 10) / 10} BPM</strong></>}
+                        {analysis.tempo.confidence < 0.3 && ' (uncertain)'}
+                      </span>
+                      <form className="bpm-form" onSubmit={applyTargetBpm}>
+                        <input
+                          type="number" min="1" step="0.1" placeholder="Target BPM"
+                          value={targetBpm} onChange={(e) => setTargetBpm(e.target.value)}
+                        />
+                        <button type="submit" className="btn-analysis" disabled={!targetBpm}>Set</button>
+                      </form>
+                    </>
+                  ) : isAnalyzing ? (
+                    <span><Loader2 size={12} className="animate-spin" /> Analysing tempo...</span>
+                  ) : analysis?.tempo ? (
+                    <span>No steady beat detected</span>
+                  ) : null}
+                </div>
               </div>
             </div>
 
             <div className="actions">
+              {queue && (
+                <button className="btn-skip" onClick={() => playQueueEntry(queueIndex - 1)} disabled={!hasPrevious || isLoading} title="Previous in queue">
+                  <SkipBack size={22} />
+                </button>
+              )}
               <button
                 className="btn-play-large"
                 onClick={togglePlayback}
@@ -347,17 +1352,152 @@ function App() {
               >
                 {isPlaying ? <Pause size={32} /> : <Play size={32} />}
               </button>
+              {queue && (
+                <button className="btn-skip" onClick={() => playQueueEntry(queueIndex + 1, { autoplay: isPlaying })} disabled={!hasNext || isLoading} title="Next in queue">
+                  <SkipForward size={22} />
+                </button>
+              )}
+            </div>
+
+            <div className="export-row">
+              <label className="inline-select">
+                <span>Export as</span>
+                <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+                  {EXPORT_FORMATS.map(format => (
+                    <option key={format.id} value={format.id}>{format.label}</option>
+                  ))}
+                </select>
+              </label>
+              <button className="btn-export" onClick={handleExport} disabled={!isReady || isExporting}>
+                {isExporting ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}
+                {isExporting ? 'Rendering...' : loopEnabled && loop ? 'Export loop' : 'Export'}
+              </button>
             </div>
+
+            <label className="song-notes">
+              <span>Notes</span>
+              <textarea
+                rows="2" placeholder="Capo, cues, who takes the solo... (saved with this song)"
+                value={notes} onChange={(e) => setNotes(e.target.value)} disabled={!isReady}
+              />
+            </label>
           </section>
         )}
 
         {!videoInfo && !isLoading && (
           <div className="empty-state">
             <Music2 size={48} className="dim-icon" />
-            <p>Enter a YouTube link to get started</p>
+            <p>Enter a YouTube, SoundCloud, Bandcamp or other media link, or drop an audio file to get started</p>
+            <p className="small">{AUDIO_EXTENSIONS.join(' · ').toUpperCase()}</p>
           </div>
         )}
 
+        {queue && (
+          <section className="library-section">
+            <div className="library-header">
+              <ListVideo size={16} />
+              <span className="queue-title">
+                {queue.title}
+                <span className="setlist-settings"> · {queueIndex >= 0 ? `${queueIndex + 1} of ` : ''}{queue.entries.length}</span>
+              </span>
+              <label className="inline-select" title="What happens to pitch and speed when the next track loads">
+                <span>Pitch & speed</span>
+                <select value={queueSettings} onChange={(e) => setQueueSettings(e.target.value)}>
+                  <option value="song">Per song</option>
+                  <option value="carry">Carry over</option>
+                </select>
+              </label>
+              <button className="btn-refresh" onClick={clearQueue} title="Clear queue"><Trash2 size={14} /></button>
+            </div>
+            <ol className="setlist queue">
+              {queue.entries.map((entry, index) => (
+                <li key={`${index}-${entry.id}`} className={index === queueIndex ? 'current' : ''}>
+                  <span className="setlist-index">{index + 1}.</span>
+                  <button className="setlist-song" onClick={() => playQueueEntry(index, { autoplay: isPlaying })} disabled={isLoading}>
+                    <span className="setlist-title">{entry.title}</span>
+                    <span className="setlist-settings">
+                      {library.songs[videoSongId(entry.id)] ? `${describeSettings(library.songs[videoSongId(entry.id)])} · ` : ''}
+                      {entry.duration ? formatClock(entry.duration) : ''}
+                    </span>
+                  </button>
+                  <button className="btn-refresh" onClick={() => moveQueueEntry(index, index - 1)} disabled={index === 0} title="Move up">
+                    <ChevronUp size={14} />
+                  </button>
+                  <button className="btn-refresh" onClick={() => moveQueueEntry(index, index + 1)} disabled={index === queue.entries.length - 1} title="Move down">
+                    <ChevronDown size={14} />
+                  </button>
+                  <button className="btn-refresh" onClick={() => removeQueueEntry(index)} title="Remove from queue">
+                    <X size={14} />
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </section>
+        )}
+
+        <section className="library-section">
+          <div className="library-header">
+            <ListMusic size={16} />
+            {setlist ? (
+              <select value={setlist.id} onChange={(e) => setSetlistId(e.target.value)}>
+                {library.setlists.map(s => (
+                  <option key={s.id} value={s.id}>{s.name} ({s.songIds.length})</option>
+                ))}
+              </select>
+            ) : (
+              <span className="library-empty">No setlists yet</span>
+            )}
+            <button className="btn-refresh" onClick={handleNewSetlist} title="New setlist"><Plus size={14} /></button>
+            <button className="btn-refresh" onClick={handleRenameSetlist} disabled={!setlist} title="Rename setlist"><Pencil size={14} /></button>
+            <button className="btn-refresh" onClick={handleDeleteSetlist} disabled={!setlist} title="Delete setlist"><Trash2 size={14} /></button>
+            <button className="btn-refresh" onClick={handleExportSetlist} disabled={!setlist} title="Export setlist as JSON"><Download size={14} /></button>
+            <button className="btn-refresh" onClick={() => setlistInputRef.current?.click()} title="Import setlists from JSON"><Upload size={14} /></button>
+            <input
+              ref={setlistInputRef}
+              type="file"
+              accept=".json,application/json"
+              hidden
+              onChange={(e) => {
+                handleImportSetlists(e.target.files[0])
+                e.target.value = ''
+              }}
+            />
+          </div>
+          {setlist && (
+            <>
+              <ol className="setlist">
+                {setlist.songIds.map((id, index) => {
+                  const song = library.songs[id]
+                  return (
+                    <li key={id} className={id === songId ? 'current' : ''}>
+                      <span className="setlist-index">{index + 1}.</span>
+                      <button className="setlist-song" onClick={() => openSong(song)} disabled={isLoading}>
+                        <span className="setlist-title">{song.title}</span>
+                        <span className="setlist-settings">{describeSettings(song)}</span>
+                      </button>
+                      <button className="btn-refresh" onClick={() => setLibrary(moveInSetlist(library, setlist.id, index, index - 1))} disabled={index === 0} title="Move up">
+                        <ChevronUp size={14} />
+                      </button>
+                      <button className="btn-refresh" onClick={() => setLibrary(moveInSetlist(library, setlist.id, index, index + 1))} disabled={index === setlist.songIds.length - 1} title="Move down">
+                        <ChevronDown size={14} />
+                      </button>
+                      <button className="btn-refresh" onClick={() => setLibrary(removeFromSetlist(library, setlist.id, index))} title="Remove from setlist">
+                        <X size={14} />
+                      </button>
+                    </li>
+                  )
+                })}
+              </ol>
+              {!setlist.songIds.length && <p className="library-empty">Load a song and add it here; its pitch, speed and loops come with it.</p>}
+              {isReady && songId && !setlist.songIds.includes(songId) && (
+                <button className="btn-analysis" onClick={addCurrentSong}>
+                  <Plus size={12} /> Add current song
+                </button>
+              )}
+            </>
+          )}
+        </section>
+
         <div className="debug-footer">
           <button className="btn-text" onClick={() => setShowLogs(!showLogs)}>
             {showLogs ? 'Hide Logs' : 'View Technical Logs'}
@@ -366,12 +1506,35 @@ function App() {
             <div className="log-window">
               <div className="log-header">
                 <span>System Logs</span>
-                <button onClick={() => {
-                  navigator.clipboard.writeText(logs.join('\n'));
-                  alert('Logs copied to clipboard');
-                }}>Copy</button>
+                <div className="log-filters">
+                  <select value={logFilter.level} onChange={(e) => setLogFilter({ ...logFilter, level: e.target.value })} title="Lowest level shown">
+                    {LOG_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+                  </select>
+                  <select value={logFilter.source} onChange={(e) => setLogFilter({ ...logFilter, source: e.target.value })}>
+                    <option value="all">frontend + backend</option>
+                    <option value="frontend">frontend</option>
+                    <option value="backend">backend</option>
+                  </select>
+                  <label title="Only the lines of the latest track load, from both sides">
+                    <input
+                      type="checkbox"
+                      checked={logFilter.lastLoadOnly}
+                      disabled={!loadRequestId}
+                      onChange={(e) => setLogFilter({ ...logFilter, lastLoadOnly: e.target.checked })}
+                    />
+                    Last load
+                  </label>
+                  <button onClick={() => {
+                    navigator.clipboard.writeText(visibleLogs.map(formatLogEntry).join('\n'));
+                    alert('Logs copied to clipboard');
+                  }}>Copy</button>
+                </div>
               </div>
-              <pre>{logs.join('\n') || 'No logs yet...'}</pre>
+              <pre>
+                {visibleLogs.length
+                  ? visibleLogs.map(entry => <div key={entry.key} className={`log-line log-${entry.level}`}>{formatLogEntry(entry)}</div>)
+                  : 'No logs yet...'}
+              </pre>
             </div>
           )}
         </div>
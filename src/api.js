@@ -0,0 +1,80 @@
+const getApiBase = () => {
+  const url = import.meta.env.VITE_API_URL || 'http://127.0.0.1:3001';
+  return url.endsWith('/api') ? url : `${url.replace(/\/$/, '')}/api`;
+};
+export const API_BASE = getApiBase();
+
+// Token of this browser's sign-in session (see server/auth.js); every browser signs in to its own account
+const SESSION_KEY = 'music-pitch:session';
+// Fallback for when localStorage is unavailable
+let pageToken = null;
+
+export const getSessionToken = () => {
+  try {
+    return localStorage.getItem(SESSION_KEY) || pageToken;
+  } catch (err) {
+    return pageToken;
+  }
+};
+
+export const setSessionToken = (token) => {
+  pageToken = token || null;
+  try {
+    if (token) localStorage.setItem(SESSION_KEY, token);
+    else localStorage.removeItem(SESSION_KEY);
+  } catch (err) {
+    // Storage disabled (private browsing); the session lasts until the page is closed
+    console.error('[FRONTEND] Could not store the session token:', err);
+  }
+};
+
+/** Headers that identify this browser's session to the backend. */
+export const authHeaders = () => {
+  const token = getSessionToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+/** fetch() for a backend route such as '/info?url=…', sent as this browser's session. */
+export const apiFetch = (path, options = {}) =>
+  fetch(`${API_BASE}${path}`, { ...options, headers: { ...authHeaders(), ...options.headers } });
+
+/**
+ * ID the backend files a request's log records under (sent as X-Request-Id).
+ * A track load sends one ID with all of its requests, so its frontend and
+ * backend log lines can be shown together.
+ */
+export const createRequestId = () => `load-${crypto.randomUUID()}`;
+
+/**
+ * Reads a Server-Sent Events route such as '/logs/stream' as this browser's
+ * session (EventSource cannot send the Authorization header), calling
+ * `onEvent(type, data)` for each event. Returns a function that closes it.
+ */
+export const openEventStream = (path, onEvent) => {
+  const controller = new AbortController();
+  const read = async () => {
+    const res = await apiFetch(path, { signal: controller.signal });
+    if (!res.ok) throw new Error(`${path} answered ${res.status}`);
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    let pending = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      const blocks = (pending + value).split('\n\n');
+      pending = blocks.pop();
+      blocks.forEach(block => {
+        let type = 'message';
+        const data = [];
+        block.split('\n').forEach(line => {
+          if (line.startsWith('event:')) type = line.slice(6).trim();
+          else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+        });
+        if (data.length) onEvent(type, data.join('\n'));
+      });
+    }
+  };
+  read().catch(err => {
+    if (err.name !== 'AbortError') console.error('[FRONTEND] Event stream failed:', err);
+  });
+  return () => controller.abort();
+};
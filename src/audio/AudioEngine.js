@@ -1,211 +1,280 @@
 import * as Tone from 'tone';
+import { loadWorklets } from './worklets';
 
+/** Pitch-shifter quality modes, fastest first (see pitch-shift-processor.js). */
+export const QUALITY_MODES = [
+  { id: 'low-latency', label: 'Low latency' },
+  { id: 'balanced', label: 'Balanced' },
+  { id: 'high', label: 'High (formant-preserving)' }
+];
+
+/**
+ * The one playback engine used by the app, whatever the audio came from.
+ *
+ * Every source (a backend stream URL or a local File/Blob) is decoded into a
+ * single AudioBuffer and played by the WSOLA stretch worklet, so seeking,
+ * looping and tempo changes behave identically for YouTube tracks and local
+ * files. Tempo never affects pitch; pitch is shifted separately downstream by
+ * the phase-vocoder worklet, both running off the main thread.
+ *
+ * Events (subscribe with `on`):
+ *   timeupdate(position)  - playhead in seconds of the original track, every frame while playing
+ *   play() / pause()      - transport state changes
+ *   ended()               - reached the end of the track (never fires while looping)
+ *   buffering(isLoading)  - true while a source is being fetched/decoded
+ *   error(err)            - load or playback failure
+ */
 export class AudioEngine {
   constructor() {
-    this.player = null; // For local files (GrainPlayer)
-    this.mediaElement = null; // For streaming (HTMLAudioElement)
-    this.mediaNode = null; // MediaElementAudioSourceNode (Native)
-    this.pitchShift = null; // Tone.PitchShift for streaming
-
-    this.mode = 'none'; // 'local' or 'stream'
+    this.context = Tone.getContext();
+    this.stretcher = null; // AudioWorkletNode running stretch-processor
+    this.pitchShifter = null; // AudioWorkletNode running pitch-shift-processor
+    this.pitchLatency = 0; // seconds the pitch shifter delays its input
+    this.audioBuffer = null;
 
+    this.listeners = {};
     this.isPlaying = false;
     this.currentRate = 1.0;
-    this.currentDetune = 0; // cents
+    this.currentPitch = 0; // semitones
+    this.quality = 'balanced';
+    this.loopRegion = null; // { start, end } in seconds of the original track
+
+    // Last playhead reported by the worklet, extrapolated between reports
+    this.playhead = { offset: 0, reportedAt: 0 };
+    this.frame = null;
+    this.loadId = 0;
+    this.disposed = false;
   }
 
-  async initialize() {
-    if (Tone.context.state !== 'running') {
-      await Tone.start();
-    }
+  on(event, callback) {
+    (this.listeners[event] ||= new Set()).add(callback);
+    return () => this.off(event, callback);
   }
 
-  stopAndDispose() {
-    // Stop Transport
-    Tone.Transport.stop();
-    Tone.Transport.cancel();
+  off(event, callback) {
+    this.listeners[event]?.delete(callback);
+  }
 
-    // Dispose local player
-    if (this.player) {
-      this.player.dispose();
-      this.player = null;
-    }
+  emit(event, ...args) {
+    this.listeners[event]?.forEach(callback => callback(...args));
+  }
 
-    // Dispose streaming nodes
-    if (this.mediaNode) {
-      this.mediaNode.disconnect();
-      this.mediaNode = null;
-    }
-    if (this.pitchShift) {
-      this.pitchShift.dispose();
-      this.pitchShift = null;
-    }
-    if (this.mediaElement) {
-      this.mediaElement.pause();
-      this.mediaElement.src = '';
-      this.mediaElement = null;
-    }
+  async ensureNodes() {
+    this.nodesReady ||= loadWorklets(this.context).then(() => {
+      if (this.disposed) return;
+      this.stretcher = this.context.createAudioWorkletNode('stretch-processor', {
+        numberOfInputs: 0,
+        numberOfOutputs: 1,
+        outputChannelCount: [2]
+      });
+      this.stretcher.port.onmessage = (e) => this.handleProcessorMessage(e.data);
+      this.stretcher.port.postMessage({ type: 'tempo', value: this.currentRate });
 
-    this.isPlaying = false;
-    this.mode = 'none';
-  }
-
-  async loadFile(file) {
-    await this.initialize();
-    this.stopAndDispose();
-    this.mode = 'local';
-
-    const arrayBuffer = await file.arrayBuffer();
-    const audioBuffer = await Tone.context.decodeAudioData(arrayBuffer);
-
-    this.player = new Tone.GrainPlayer(audioBuffer).toDestination();
-    this.player.playbackRate = this.currentRate;
-    this.player.detune = this.currentDetune;
-
-    this.player.sync().start(0);
-
-    return this.player.buffer.duration;
-  }
-
-  async loadUrl(url, onProgress) {
-    await this.initialize();
-    this.stopAndDispose();
-    this.mode = 'stream';
-
-    if (onProgress) onProgress('Connecting...');
-
-    this.mediaElement = new Audio(url);
-    this.mediaElement.crossOrigin = "anonymous";
-    this.mediaElement.playbackRate = this.currentRate;
-    this.mediaElement.preservesPitch = true;
-
-    // Use native context to create source
-    this.mediaNode = Tone.context.createMediaElementSource(this.mediaElement);
-
-    this.pitchShift = new Tone.PitchShift({
-      pitch: this.currentDetune / 100, // semitones
-      windowSize: 0.1,
-      delayTime: 0,
-      feedback: 0
-    }).toDestination();
-
-    // Connect native node to Tone node
-    Tone.connect(this.mediaNode, this.pitchShift);
-
-    // Wait for metadata to get duration
-    return new Promise((resolve, reject) => {
-      const onMetadata = () => {
-        console.log("Metadata loaded, duration:", this.mediaElement.duration);
-        if (onProgress) onProgress('Metadata loaded');
-        resolve(this.mediaElement.duration);
-      };
-
-      // Debug events & Progress feedback
-      this.mediaElement.onwaiting = () => {
-        console.log("MediaElement waiting...");
-        if (onProgress) onProgress('Buffering...');
-      };
-      this.mediaElement.onplaying = () => {
-        console.log("MediaElement playing");
-        if (onProgress) onProgress('Playing');
-      };
-      this.mediaElement.oncanplay = () => {
-        console.log("MediaElement can play");
-        if (onProgress) onProgress('Ready to play');
-      };
-      this.mediaElement.onstalled = () => {
-        console.log("MediaElement stalled");
-        if (onProgress) onProgress('Connection stalled...');
-      };
-
-      if (this.mediaElement.readyState >= 1) {
-        onMetadata();
-      } else {
-        this.mediaElement.onloadedmetadata = onMetadata;
-      }
+      this.pitchShifter = this.context.createAudioWorkletNode('pitch-shift-processor', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [2]
+      });
+      this.pitchShifter.port.onmessage = (e) => this.handleProcessorMessage(e.data);
+      this.pitchShifter.port.postMessage({ type: 'quality', mode: this.quality });
+      this.pitchShifter.port.postMessage({ type: 'pitch', semitones: this.currentPitch });
 
-      this.mediaElement.onerror = (e) => {
-        console.error("MediaElement error:", e);
-        if (onProgress) onProgress('Error loading stream');
-        reject(e);
-      };
+      Tone.connect(this.stretcher, this.pitchShifter);
+      Tone.connect(this.pitchShifter, this.context.destination);
     });
+    return this.nodesReady;
   }
 
-  play() {
-    if (this.mode === 'local') {
-      if (Tone.Transport.state !== 'started') {
-        Tone.Transport.start();
+  handleProcessorMessage(msg) {
+    if (msg.type === 'position') {
+      if (this.isPlaying) this.playhead = { offset: msg.position, reportedAt: msg.time };
+    } else if (msg.type === 'ended') {
+      this.handleEnded();
+    } else if (msg.type === 'latency') {
+      this.pitchLatency = msg.seconds;
+    }
+  }
+
+  post(msg, transfer) {
+    this.stretcher?.port.postMessage(msg, transfer);
+  }
+
+  /**
+   * Loads a stream URL or a local File/Blob. Resolves with the duration in
+   * seconds, or null if another load() superseded this one. `headers` are
+   * sent with a stream URL's request.
+   */
+  async load(source, { headers } = {}) {
+    const loadId = ++this.loadId;
+    this.stop();
+    this.emit('buffering', true);
+
+    try {
+      await this.ensureNodes();
+      const arrayBuffer = source instanceof Blob ? await source.arrayBuffer() : await this.fetchAudio(source, headers);
+      const audioBuffer = await this.context.decodeAudioData(arrayBuffer);
+      if (loadId !== this.loadId) return null;
+
+      // The worklet gets its own copy so the decoded buffer stays usable for drawing and analysis
+      const channels = [];
+      for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+        channels.push(audioBuffer.getChannelData(ch).slice());
       }
-    } else if (this.mode === 'stream') {
-      if (Tone.context.state === 'suspended') {
-        Tone.context.resume();
+      this.audioBuffer = audioBuffer;
+      this.post({ type: 'load', channels }, channels.map(data => data.buffer));
+      this.setLoop(null);
+      this.playhead = { offset: 0, reportedAt: 0 };
+      this.emit('timeupdate', 0);
+      return audioBuffer.duration;
+    } catch (err) {
+      if (loadId === this.loadId) this.emit('error', err);
+      throw err;
+    } finally {
+      if (loadId === this.loadId) this.emit('buffering', false);
+    }
+  }
+
+  async fetchAudio(url, headers) {
+    const res = await fetch(url, { headers });
+    if (!res.ok) throw new Error(`Audio request failed (${res.status} ${res.statusText})`);
+    return res.arrayBuffer();
+  }
+
+  async play() {
+    if (this.isPlaying || !this.audioBuffer) return;
+
+    try {
+      if (this.context.state !== 'running') {
+        await Tone.start();
       }
-      this.mediaElement.play();
+    } catch (err) {
+      this.emit('error', err);
+      return;
     }
+
+    if (this.playhead.offset >= this.duration) this.seek(0);
+    this.playhead = { offset: this.playhead.offset, reportedAt: this.context.currentTime };
+    this.post({ type: 'play' });
     this.isPlaying = true;
+    this.emit('play');
+    this.startClock();
   }
 
   pause() {
-    if (this.mode === 'local') {
-      Tone.Transport.pause();
-    } else if (this.mode === 'stream') {
-      this.mediaElement.pause();
-    }
+    if (!this.isPlaying) return;
+    const position = this.position;
+    this.post({ type: 'pause' });
+    this.playhead = { offset: position, reportedAt: 0 };
     this.isPlaying = false;
+    this.stopClock();
+    this.emit('pause');
+    this.emit('timeupdate', position);
   }
 
   stop() {
-    if (this.mode === 'local') {
-      Tone.Transport.stop();
-    } else if (this.mode === 'stream') {
-      this.mediaElement.pause();
-      this.mediaElement.currentTime = 0;
-    }
-    this.isPlaying = false;
+    this.pause();
+    this.seek(0);
   }
 
-  setPlaybackRate(rate) {
-    this.currentRate = rate;
-    if (this.mode === 'local' && this.player) {
-      this.player.playbackRate = rate;
-    } else if (this.mode === 'stream' && this.mediaElement) {
-      this.mediaElement.playbackRate = rate;
-    }
+  seek(seconds) {
+    let position = Math.max(0, Math.min(seconds, this.duration));
+    const region = this.loopRegion;
+    if (this.isPlaying && region && (position < region.start || position >= region.end)) position = region.start;
+
+    this.post({ type: 'seek', position });
+    this.playhead = { offset: position, reportedAt: this.context.currentTime };
+    this.emit('timeupdate', position);
   }
 
-  setDetune(cents) {
-    this.currentDetune = cents;
-    if (this.mode === 'local' && this.player) {
-      this.player.detune = cents;
-    } else if (this.mode === 'stream' && this.pitchShift) {
-      this.pitchShift.pitch = cents / 100; // PitchShift takes semitones
-    }
+  setPitch(semitones) {
+    this.currentPitch = semitones;
+    this.pitchShifter?.port.postMessage({ type: 'pitch', semitones });
   }
 
-  seek(seconds) {
-    if (this.mode === 'local') {
-      Tone.Transport.seconds = seconds;
-    } else if (this.mode === 'stream' && this.mediaElement) {
-      this.mediaElement.currentTime = seconds;
+  /** Switches the pitch shifter between the QUALITY_MODES. */
+  setQuality(mode) {
+    this.quality = mode;
+    this.pitchShifter?.port.postMessage({ type: 'quality', mode });
+  }
+
+  /** Changes tempo only; the stretcher keeps the original pitch. */
+  setRate(rate) {
+    // Re-anchor so time already played at the old rate is not rescaled
+    if (this.isPlaying) {
+      this.playhead = { offset: this.position, reportedAt: this.context.currentTime };
     }
+    this.currentRate = rate;
+    this.post({ type: 'tempo', value: rate });
   }
 
-  getCurrentTime() {
-    if (this.mode === 'local') {
-      return Tone.Transport.seconds;
-    } else if (this.mode === 'stream' && this.mediaElement) {
-      return this.mediaElement.currentTime;
+  /**
+   * Loops the given region seamlessly, or plays straight through when null.
+   * Loop points are in track time, so they stay put at any speed or pitch.
+   */
+  setLoop(region) {
+    const position = this.position;
+    this.loopRegion = region;
+    this.post({ type: 'loop', region });
+
+    if (this.isPlaying && region && (position < region.start || position >= region.end)) {
+      this.seek(region.start);
     }
-    return 0;
   }
 
-  getDuration() {
-    if (this.mode === 'local' && this.player) {
-      return this.player.buffer.duration;
-    } else if (this.mode === 'stream' && this.mediaElement) {
-      return this.mediaElement.duration;
+  get position() {
+    const { offset, reportedAt } = this.playhead;
+    if (!this.isPlaying) return offset;
+
+    // What is heard lags what the stretcher reports by the pitch shifter's frame delay
+    let position = offset + (this.context.currentTime - reportedAt - this.pitchLatency) * this.currentRate;
+    const region = this.loopRegion;
+    if (region && position >= region.end) {
+      position = region.start + ((position - region.start) % (region.end - region.start));
     }
-    return 0;
+    return Math.max(0, Math.min(position, this.duration));
+  }
+
+  get duration() {
+    return this.audioBuffer ? this.audioBuffer.duration : 0;
+  }
+
+  get buffer() {
+    return this.audioBuffer;
+  }
+
+  startClock() {
+    const tick = () => {
+      this.emit('timeupdate', this.position);
+      this.frame = requestAnimationFrame(tick);
+    };
+    this.stopClock();
+    this.frame = requestAnimationFrame(tick);
+  }
+
+  stopClock() {
+    if (this.frame !== null) cancelAnimationFrame(this.frame);
+    this.frame = null;
+  }
+
+  handleEnded() {
+    if (!this.isPlaying) return;
+    this.isPlaying = false;
+    this.playhead = { offset: this.duration, reportedAt: 0 };
+    this.stopClock();
+    this.emit('timeupdate', this.duration);
+    this.emit('pause');
+    this.emit('ended');
+  }
+
+  dispose() {
+    this.disposed = true;
+    this.loadId++;
+    this.stopClock();
+    [this.stretcher, this.pitchShifter].forEach(node => {
+      if (!node) return;
+      node.port.onmessage = null;
+      node.disconnect();
+    });
+    this.listeners = {};
   }
 }
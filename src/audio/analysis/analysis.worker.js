@@ -0,0 +1,33 @@
+import { estimateTuning } from './tuning.js';
+import { estimateKey } from './key.js';
+import { estimateTempo } from './tempo.js';
+
+// Tasks run in this order and may use the results of earlier ones (key uses tuning)
+const TASKS = {
+  tuning: estimateTuning,
+  key: estimateKey,
+  tempo: estimateTempo
+};
+
+const mixDown = (channels) => {
+  if (channels.length === 1) return channels[0];
+  const mono = new Float32Array(channels[0].length);
+  for (const data of channels) {
+    for (let i = 0; i < mono.length; i++) mono[i] += data[i] / channels.length;
+  }
+  return mono;
+};
+
+self.onmessage = (e) => {
+  const { id, channels, sampleRate, tasks } = e.data;
+  try {
+    const samples = mixDown(channels);
+    const results = {};
+    for (const task of Object.keys(TASKS).filter(name => tasks.includes(name))) {
+      results[task] = TASKS[task](samples, sampleRate, results);
+    }
+    self.postMessage({ id, results });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,40 @@
+export { KEY_NAMES, keyName, semitonesBetween } from './key.js';
+
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+const getWorker = () => {
+  if (worker) return worker;
+  worker = new Worker(new URL('./analysis.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = (e) => {
+    const { id, results, error } = e.data;
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    if (error) request.reject(new Error(error));
+    else request.resolve(results);
+  };
+  return worker;
+};
+
+/**
+ * Runs the named analysis tasks ('tuning', 'key', 'tempo') on a decoded AudioBuffer
+ * in a Web Worker, so long tracks never block the UI. Resolves with an object
+ * keyed by task name.
+ */
+export const analyzeBuffer = (audioBuffer, tasks = ['tuning', 'key', 'tempo']) => {
+  const channels = [];
+  for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+    channels.push(audioBuffer.getChannelData(ch).slice());
+  }
+
+  const id = ++nextId;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    getWorker().postMessage(
+      { id, channels, sampleRate: audioBuffer.sampleRate, tasks },
+      channels.map(data => data.buffer)
+    );
+  });
+};
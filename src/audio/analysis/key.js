@@ -0,0 +1,83 @@
+import { forEachSpectrum } from './spectrum.js';
+
+export const KEY_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Krumhansl-Kessler key profiles, starting from the tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const FFT_SIZE = 8192;
+const MIN_FREQ = 55;
+const MAX_FREQ = 5000;
+const MAX_FRAMES = 1500;
+
+const correlate = (a, b) => {
+  const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+  const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+  let cross = 0;
+  let energyA = 0;
+  let energyB = 0;
+  for (let i = 0; i < a.length; i++) {
+    cross += (a[i] - meanA) * (b[i] - meanB);
+    energyA += (a[i] - meanA) ** 2;
+    energyB += (b[i] - meanB) ** 2;
+  }
+  return energyA && energyB ? cross / Math.sqrt(energyA * energyB) : 0;
+};
+
+/**
+ * Estimates the musical key from a chromagram: every frame's spectrum is
+ * folded into 12 pitch classes (aligned to the recording's own tuning when a
+ * tuning estimate is available) and the track-wide profile is correlated
+ * against all 24 rotated major/minor key profiles.
+ *
+ * Returns { tonic, mode, name, confidence } where tonic is 0-11 from C and
+ * confidence is the margin between the best and second-best key (0-1).
+ */
+export const estimateKey = (samples, sampleRate, { tuning } = {}) => {
+  const reference = 440 * Math.pow(2, (tuning?.cents || 0) / 1200);
+  const binHz = sampleRate / FFT_SIZE;
+  const lowBin = Math.max(1, Math.floor(MIN_FREQ / binHz));
+  const highBin = Math.min(FFT_SIZE / 2, Math.ceil(MAX_FREQ / binHz));
+
+  const pitchClassOfBin = new Int8Array(highBin + 1);
+  for (let k = lowBin; k <= highBin; k++) {
+    const semitonesFromA = Math.round(12 * Math.log2((k * binHz) / reference));
+    pitchClassOfBin[k] = (((semitonesFromA + 9) % 12) + 12) % 12;
+  }
+
+  const chroma = new Float64Array(12);
+  const frameChroma = new Float64Array(12);
+  forEachSpectrum(samples, { fftSize: FFT_SIZE, hop: FFT_SIZE / 2, maxFrames: MAX_FRAMES }, (magnitudes) => {
+    frameChroma.fill(0);
+    for (let k = lowBin; k <= highBin; k++) frameChroma[pitchClassOfBin[k]] += Math.sqrt(magnitudes[k]);
+
+    // Normalise per frame so loud passages don't outvote the rest of the song
+    const total = frameChroma.reduce((sum, v) => sum + v, 0);
+    if (total > 0) frameChroma.forEach((v, i) => { chroma[i] += v / total; });
+  });
+
+  const candidates = [];
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = Array.from({ length: 12 }, (_, i) => chroma[(tonic + i) % 12]);
+    candidates.push({ tonic, mode: 'major', score: correlate(rotated, MAJOR_PROFILE) });
+    candidates.push({ tonic, mode: 'minor', score: correlate(rotated, MINOR_PROFILE) });
+  }
+  candidates.sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = candidates;
+  return {
+    tonic: best.tonic,
+    mode: best.mode,
+    name: keyName(best.tonic, best.mode),
+    confidence: Math.round(Math.max(0, best.score - runnerUp.score) * 100) / 100
+  };
+};
+
+export const keyName = (tonic, mode) => `${KEY_NAMES[((tonic % 12) + 12) % 12]} ${mode}`;
+
+/** Semitone shift (-5..+6) that takes `fromTonic` to `toTonic` the shortest way. */
+export const semitonesBetween = (fromTonic, toTonic) => {
+  const up = (((toTonic - fromTonic) % 12) + 12) % 12;
+  return up > 6 ? up - 12 : up;
+};
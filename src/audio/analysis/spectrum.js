@@ -0,0 +1,31 @@
+import { createFFT, hannWindow } from '../dsp/fft.js';
+
+/**
+ * Walks a mono signal in Hann-windowed frames and hands each frame's
+ * magnitude spectrum (fftSize / 2 + 1 bins) to `callback(magnitudes, frameIndex)`.
+ * When the signal would yield more than `maxFrames` frames, frames are taken
+ * evenly across the whole track instead of hop by hop.
+ */
+export const forEachSpectrum = (samples, { fftSize, hop, maxFrames = Infinity }, callback) => {
+  const fft = createFFT(fftSize);
+  const window = hannWindow(fftSize);
+  const re = new Float64Array(fftSize);
+  const im = new Float64Array(fftSize);
+  const magnitudes = new Float64Array(fftSize / 2 + 1);
+
+  const available = Math.max(0, Math.floor((samples.length - fftSize) / hop) + 1);
+  const count = Math.min(available, maxFrames);
+  const stride = count > 0 ? (available / count) * hop : hop;
+
+  for (let frame = 0; frame < count; frame++) {
+    const start = Math.floor(frame * stride);
+    for (let i = 0; i < fftSize; i++) {
+      re[i] = samples[start + i] * window[i];
+      im[i] = 0;
+    }
+    fft.forward(re, im);
+    for (let k = 0; k < magnitudes.length; k++) magnitudes[k] = Math.hypot(re[k], im[k]);
+    callback(magnitudes, frame);
+  }
+  return count;
+};
@@ -0,0 +1,99 @@
+import { forEachSpectrum } from './spectrum.js';
+
+const FFT_SIZE = 1024;
+const HOP = 512;
+const MAX_SECONDS = 120; // a two-minute excerpt from the middle is plenty and keeps long tracks fast
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PREFERRED_BPM = 120; // centre of the tempo prior that settles half/double-time ambiguity
+const PRIOR_OCTAVES = 1; // width (standard deviation) of that prior
+const MEAN_WINDOW = 0.5; // seconds of onset envelope averaged to find the local baseline
+const REFINE_BEATS = 4; // the period is measured over this many beats to beat frame quantisation
+
+/**
+ * Estimates the tempo of a recording.
+ *
+ * An onset-strength envelope is built from log-compressed spectral flux (how
+ * much louder each frequency got since the previous frame), with its local
+ * average removed so only attacks remain. The envelope's autocorrelation
+ * peaks at the beat period; each candidate lag also collects the evidence at
+ * twice its period, and is weighted by a log-normal prior around 120 BPM so a
+ * song is not reported at half or double its felt tempo.
+ *
+ * Returns { bpm, confidence }: bpm to one decimal, confidence 0-1.
+ */
+export const estimateTempo = (samples, sampleRate) => {
+  const excerptLength = Math.min(samples.length, Math.round(MAX_SECONDS * sampleRate));
+  const excerptStart = Math.floor((samples.length - excerptLength) / 2);
+  const excerpt = samples.subarray(excerptStart, excerptStart + excerptLength);
+  const frameRate = sampleRate / HOP;
+
+  const flux = [];
+  let previous = null;
+  forEachSpectrum(excerpt, { fftSize: FFT_SIZE, hop: HOP }, (magnitudes) => {
+    let sum = 0;
+    const current = magnitudes.map(m => Math.log1p(100 * m));
+    if (previous) {
+      for (let k = 0; k < current.length; k++) sum += Math.max(0, current[k] - previous[k]);
+    }
+    flux.push(sum);
+    previous = current;
+  });
+
+  const onsets = removeLocalMean(flux, Math.round(MEAN_WINDOW * frameRate));
+  const minLag = Math.floor((60 / MAX_BPM) * frameRate);
+  const maxLag = Math.ceil((60 / MIN_BPM) * frameRate);
+  const ac = new Float64Array((maxLag + 1) * REFINE_BEATS + 2);
+  if (onsets.length < ac.length * 2) return { bpm: null, confidence: 0 };
+
+  for (let lag = 0; lag < ac.length; lag++) {
+    let sum = 0;
+    for (let i = lag; i < onsets.length; i++) sum += onsets[i] * onsets[i - lag];
+    ac[lag] = sum / (onsets.length - lag);
+  }
+  if (ac[0] <= 0) return { bpm: null, confidence: 0 };
+
+  let bestLag = minLag;
+  let bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = (60 * frameRate) / lag;
+    const prior = Math.exp(-0.5 * (Math.log2(bpm / PREFERRED_BPM) / PRIOR_OCTAVES) ** 2);
+    const score = (ac[lag] + 0.5 * ac[lag * 2]) * prior;
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+
+  const bpm = (60 * frameRate) / refinePeriod(ac, bestLag);
+  return {
+    bpm: Math.round(bpm * 10) / 10,
+    confidence: Math.round(Math.max(0, Math.min(1, ac[bestLag] / ac[0])) * 100) / 100
+  };
+};
+
+// Finds the autocorrelation peak REFINE_BEATS periods out and interpolates it
+// parabolically, which pins the period down far finer than one frame
+const refinePeriod = (ac, lag) => {
+  let peak = lag * REFINE_BEATS;
+  for (let l = peak - REFINE_BEATS; l <= peak + REFINE_BEATS; l++) {
+    if (ac[l] > ac[peak]) peak = l;
+  }
+  const [a, b, c] = [ac[peak - 1], ac[peak], ac[peak + 1]];
+  const denominator = a - 2 * b + c;
+  const offset = denominator < 0 ? (0.5 * (a - c)) / denominator : 0;
+  return (peak + offset) / REFINE_BEATS;
+};
+
+const removeLocalMean = (values, radius) => {
+  const result = new Float64Array(values.length);
+  let sum = 0;
+  let lo = 0;
+  let hi = 0;
+  for (let i = 0; i < values.length; i++) {
+    while (hi < values.length && hi <= i + radius) sum += values[hi++];
+    while (lo < i - radius) sum -= values[lo++];
+    result[i] = Math.max(0, values[i] - sum / (hi - lo));
+  }
+  return result;
+};
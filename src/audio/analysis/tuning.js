@@ -0,0 +1,64 @@
+import { forEachSpectrum } from './spectrum.js';
+
+const FFT_SIZE = 8192;
+const MIN_FREQ = 80;
+const MAX_FREQ = 2000;
+const PEAK_THRESHOLD = 0.1; // peaks quieter than -20 dB under the frame's loudest are ignored
+const MAX_FRAMES = 1500;
+
+/**
+ * Estimates how far a recording sits from equal temperament at A=440.
+ *
+ * Every prominent spectral peak's frequency (refined by parabolic
+ * interpolation) is expressed as its deviation from the nearest A440
+ * semitone. The deviations live on a circle (-50 and +50 cents are the same
+ * offset), so they are averaged as magnitude-weighted unit vectors; the length
+ * of the mean vector doubles as a confidence score.
+ *
+ * Returns { cents, referenceHz, confidence }: `cents` in [-50, 50), the
+ * matching concert A and a 0-1 confidence.
+ */
+export const estimateTuning = (samples, sampleRate) => {
+  const binHz = sampleRate / FFT_SIZE;
+  const lowBin = Math.max(2, Math.floor(MIN_FREQ / binHz));
+  const highBin = Math.min(FFT_SIZE / 2 - 2, Math.ceil(MAX_FREQ / binHz));
+
+  let sumCos = 0;
+  let sumSin = 0;
+  let totalWeight = 0;
+
+  forEachSpectrum(samples, { fftSize: FFT_SIZE, hop: FFT_SIZE / 2, maxFrames: MAX_FRAMES }, (magnitudes) => {
+    let loudest = 0;
+    for (let k = lowBin; k <= highBin; k++) loudest = Math.max(loudest, magnitudes[k]);
+    if (loudest === 0) return;
+
+    for (let k = lowBin; k <= highBin; k++) {
+      const m = magnitudes[k];
+      if (m < loudest * PEAK_THRESHOLD || m <= magnitudes[k - 1] || m < magnitudes[k + 1]) continue;
+
+      // Parabolic interpolation on the log magnitudes around the peak
+      const a = Math.log(magnitudes[k - 1] + 1e-12);
+      const b = Math.log(m + 1e-12);
+      const c = Math.log(magnitudes[k + 1] + 1e-12);
+      const denominator = a - 2 * b + c;
+      const offset = denominator === 0 ? 0 : (0.5 * (a - c)) / denominator;
+      const frequency = (k + offset) * binHz;
+
+      const centsFromA = 1200 * Math.log2(frequency / 440);
+      const deviation = centsFromA - 100 * Math.round(centsFromA / 100);
+      const angle = (2 * Math.PI * deviation) / 100;
+      sumCos += m * Math.cos(angle);
+      sumSin += m * Math.sin(angle);
+      totalWeight += m;
+    }
+  });
+
+  if (totalWeight === 0) return { cents: 0, referenceHz: 440, confidence: 0 };
+
+  const cents = (Math.atan2(sumSin, sumCos) * 100) / (2 * Math.PI);
+  return {
+    cents: Math.round(cents * 10) / 10,
+    referenceHz: Math.round(440 * Math.pow(2, cents / 1200) * 10) / 10,
+    confidence: Math.round((Math.hypot(sumCos, sumSin) / totalWeight) * 100) / 100
+  };
+};
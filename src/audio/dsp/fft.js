@@ -0,0 +1,63 @@
+/**
+ * In-place iterative radix-2 FFT over separate real/imaginary arrays.
+ * Shared by the AudioWorklet processors and the analysis code, so it has no
+ * browser or Tone dependencies. Neither direction is normalised.
+ */
+export const createFFT = (size) => {
+  if (size & (size - 1)) throw new Error(`FFT size must be a power of two, got ${size}`);
+
+  const levels = Math.log2(size);
+  const reversed = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let rev = 0;
+    for (let bit = 0; bit < levels; bit++) rev = (rev << 1) | ((i >>> bit) & 1);
+    reversed[i] = rev;
+  }
+
+  const cos = new Float64Array(size / 2);
+  const sin = new Float64Array(size / 2);
+  for (let i = 0; i < size / 2; i++) {
+    cos[i] = Math.cos((2 * Math.PI * i) / size);
+    sin[i] = Math.sin((2 * Math.PI * i) / size);
+  }
+
+  const transform = (re, im, sign) => {
+    for (let i = 0; i < size; i++) {
+      const j = reversed[i];
+      if (j > i) {
+        let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+        tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+      }
+    }
+
+    for (let half = 1; half < size; half *= 2) {
+      const step = size / (half * 2);
+      for (let start = 0; start < size; start += half * 2) {
+        for (let k = 0; k < half; k++) {
+          const wr = cos[k * step];
+          const wi = sign * sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  };
+
+  return {
+    size,
+    forward: (re, im) => transform(re, im, -1),
+    inverse: (re, im) => transform(re, im, 1)
+  };
+};
+
+export const hannWindow = (size) => {
+  const window = new Float32Array(size);
+  for (let i = 0; i < size; i++) window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+  return window;
+};
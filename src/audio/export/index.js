@@ -0,0 +1,17 @@
+import { renderOffline } from './render.js';
+import { encodeWav } from './wav.js';
+import { encodeMp3 } from './mp3.js';
+
+export const EXPORT_FORMATS = [
+  { id: 'mp3', label: 'MP3', extension: 'mp3' },
+  { id: 'wav', label: 'WAV', extension: 'wav' }
+];
+
+/**
+ * Renders `audioBuffer` with the given playback settings (see renderOffline)
+ * and encodes it as one of the EXPORT_FORMATS. Resolves with the file's Blob.
+ */
+export const exportAudio = async (audioBuffer, settings, format = 'mp3') => {
+  const rendered = await renderOffline(audioBuffer, settings);
+  return format === 'wav' ? encodeWav(rendered) : encodeMp3(rendered);
+};
@@ -0,0 +1,36 @@
+import { Mp3Encoder } from '@breezystack/lamejs';
+
+const FRAME_SAMPLES = 1152; // samples per MPEG-1 Layer III frame
+const FRAMES_PER_YIELD = 200; // ~5 s of audio between breaks for the UI
+
+const toInt16 = (samples) => {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    pcm[i] = sample < 0 ? sample * 0x8000 : sample * 0x7fff;
+  }
+  return pcm;
+};
+
+/**
+ * Encodes an AudioBuffer (mono or stereo) as a constant-bitrate MP3. Encoding
+ * is done in slices that yield to the event loop, so the page stays responsive.
+ */
+export const encodeMp3 = async (audioBuffer, kbps = 192) => {
+  const channelCount = Math.min(audioBuffer.numberOfChannels, 2);
+  const encoder = new Mp3Encoder(channelCount, audioBuffer.sampleRate, kbps);
+  const left = toInt16(audioBuffer.getChannelData(0));
+  const right = channelCount > 1 ? toInt16(audioBuffer.getChannelData(1)) : null;
+
+  const chunks = [];
+  for (let i = 0, frame = 0; i < left.length; i += FRAME_SAMPLES, frame++) {
+    const encoded = right
+      ? encoder.encodeBuffer(left.subarray(i, i + FRAME_SAMPLES), right.subarray(i, i + FRAME_SAMPLES))
+      : encoder.encodeBuffer(left.subarray(i, i + FRAME_SAMPLES));
+    if (encoded.length) chunks.push(encoded);
+    if (frame % FRAMES_PER_YIELD === FRAMES_PER_YIELD - 1) await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  const tail = encoder.flush();
+  if (tail.length) chunks.push(tail);
+  return new Blob(chunks, { type: 'audio/mpeg' });
+};
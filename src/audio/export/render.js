@@ -0,0 +1,61 @@
+import { loadWorklets } from '../worklets';
+import { pitchLatencySamples } from '../worklets/pitch-modes.js';
+
+/**
+ * Renders a track through the same stretch and pitch-shift worklets used for
+ * playback, in an OfflineAudioContext, so it runs as fast as the CPU allows
+ * and never has to be played through.
+ *
+ * Options: semitones (may be fractional), rate (tempo), quality (pitch-shifter
+ * mode) and region ({ start, end } in seconds, or null for the whole track).
+ * Resolves with an AudioBuffer of the processed audio.
+ */
+export const renderOffline = async (audioBuffer, { semitones = 0, rate = 1, quality = 'balanced', region = null } = {}) => {
+  const { sampleRate, numberOfChannels } = audioBuffer;
+  const start = region ? region.start : 0;
+  const end = region ? region.end : audioBuffer.duration;
+  const latency = pitchLatencySamples(quality);
+  const outputLength = Math.ceil(((end - start) * sampleRate) / rate);
+
+  const channelCount = Math.min(numberOfChannels, 2);
+  const context = new OfflineAudioContext(channelCount, outputLength + latency, sampleRate);
+  await loadWorklets(context);
+
+  const channels = [];
+  for (let ch = 0; ch < numberOfChannels; ch++) channels.push(audioBuffer.getChannelData(ch));
+
+  const stretcher = new AudioWorkletNode(context, 'stretch-processor', {
+    numberOfInputs: 0,
+    numberOfOutputs: 1,
+    outputChannelCount: [channelCount],
+    processorOptions: {
+      messages: [
+        { type: 'load', channels },
+        { type: 'tempo', value: rate },
+        { type: 'seek', position: start },
+        { type: 'play' }
+      ]
+    }
+  });
+  const pitchShifter = new AudioWorkletNode(context, 'pitch-shift-processor', {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [channelCount],
+    processorOptions: {
+      messages: [
+        { type: 'quality', mode: quality },
+        { type: 'pitch', semitones }
+      ]
+    }
+  });
+  stretcher.connect(pitchShifter).connect(context.destination);
+
+  const rendered = await context.startRendering();
+
+  // Drop the pitch shifter's frame delay so the export starts on the first sample
+  const result = new AudioBuffer({ length: outputLength, numberOfChannels: channelCount, sampleRate });
+  for (let ch = 0; ch < channelCount; ch++) {
+    result.copyToChannel(rendered.getChannelData(ch).subarray(latency), ch);
+  }
+  return result;
+};
@@ -0,0 +1,21 @@
+import stretchProcessorUrl from './stretch-processor.js?worker&url';
+import pitchShiftProcessorUrl from './pitch-shift-processor.js?worker&url';
+
+const loaded = new WeakMap();
+
+/**
+ * Registers the app's AudioWorklet processors on a Tone context (or a plain
+ * BaseAudioContext such as an OfflineAudioContext), once per context. Tone's
+ * own addAudioWorkletModule only remembers a single module, so this goes
+ * through the raw context's audioWorklet instead.
+ */
+export const loadWorklets = (context) => {
+  const raw = context.rawContext || context;
+  if (!loaded.has(raw)) {
+    loaded.set(raw, Promise.all([
+      raw.audioWorklet.addModule(stretchProcessorUrl),
+      raw.audioWorklet.addModule(pitchShiftProcessorUrl)
+    ]));
+  }
+  return loaded.get(raw);
+};
@@ -0,0 +1,14 @@
+/**
+ * Frame settings of the pitch shifter's quality modes, shared by the
+ * processor and by code that needs its latency (fftSize - hop samples).
+ */
+export const PITCH_MODES = {
+  'low-latency': { fftSize: 1024, overlap: 4, formants: false },
+  balanced: { fftSize: 2048, overlap: 4, formants: false },
+  high: { fftSize: 4096, overlap: 8, formants: true }
+};
+
+export const pitchLatencySamples = (mode) => {
+  const { fftSize, overlap } = PITCH_MODES[mode];
+  return fftSize - fftSize / overlap;
+};
@@ -0,0 +1,246 @@
+import { createFFT, hannWindow } from '../dsp/fft.js';
+import { PITCH_MODES as MODES, pitchLatencySamples } from './pitch-modes.js';
+
+/**
+ * Phase-vocoder pitch shifter.
+ *
+ * Each channel is cut into overlapping Hann-windowed frames. Every spectral
+ * peak is moved, together with the bins around it, to its transposed
+ * position, and its phase is advanced by its true (measured) frequency times
+ * the ratio; the surrounding bins keep their phase relative to the peak
+ * (Laroche-Dolson peak shifting with identity phase locking). Keeping each
+ * partial's shape intact avoids the phasey smear of plain bin shifting and the
+ * warble of the delay-line shifter. The quality modes trade latency for
+ * frequency resolution:
+ *
+ *   low-latency - 1024-point frames, 4x overlap (~17 ms at 44.1 kHz)
+ *   balanced    - 2048-point frames, 4x overlap
+ *   high        - 4096-point frames, 8x overlap, with formant preservation:
+ *                 the spectral envelope is estimated by cepstral liftering and
+ *                 kept in place while the harmonics move, so transposed vocals
+ *                 keep their vowel colour instead of sounding chipmunky.
+ *
+ * At a ratio of exactly 1 the input is passed through with the same delay, so
+ * leaving the pitch alone costs nothing and moving it never shifts the timing.
+ *
+ * Messages in:  pitch { semitones }, quality { mode }
+ * Messages out: latency { seconds } whenever the frame size changes
+ * `processorOptions.messages` are applied before the first render quantum.
+ */
+const PEAK_FLOOR = 1e-4; // peaks more than 80 dB under the loudest bin are ignored
+const ENVELOPE_QUEFRENCY = 0.001; // lifter cut-off in seconds; keeps envelope detail coarser than a 1 kHz voice
+
+class ChannelShifter {
+  constructor({ fftSize, overlap, formants }) {
+    this.size = fftSize;
+    this.bins = fftSize / 2 + 1;
+    this.hop = fftSize / overlap;
+    this.overlap = overlap;
+    this.latency = fftSize - this.hop;
+    this.formants = formants;
+    this.fft = createFFT(fftSize);
+    this.window = hannWindow(fftSize);
+
+    // Sum of the squared window over all overlapping frames, to undo the analysis/synthesis windowing
+    let gain = 0;
+    for (let i = 0; i < fftSize; i += this.hop) gain += this.window[i] ** 2;
+    this.gain = gain;
+
+    this.inFifo = new Float32Array(fftSize);
+    this.outFifo = new Float32Array(this.hop);
+    this.accum = new Float32Array(fftSize);
+    this.rover = this.latency;
+    this.re = new Float64Array(fftSize);
+    this.im = new Float64Array(fftSize);
+    this.cepRe = new Float64Array(fftSize);
+    this.cepIm = new Float64Array(fftSize);
+    this.lastPhase = new Float64Array(this.bins);
+    this.phase = new Float64Array(this.bins);
+    this.magnitude = new Float64Array(this.bins);
+    this.frequency = new Float64Array(this.bins); // true frequency in bins
+    this.envelope = new Float64Array(this.bins);
+    this.peakPhase = new Float64Array(this.bins);
+    this.lastPeakPhase = new Float64Array(this.bins);
+    this.isPeak = new Uint8Array(this.bins);
+    this.wasPeak = new Uint8Array(this.bins);
+    this.fresh = true;
+  }
+
+  process(input, output, ratio) {
+    const bypass = ratio === 1;
+    for (let i = 0; i < input.length; i++) {
+      this.inFifo[this.rover] = input[i];
+      output[i] = bypass ? this.inFifo[this.rover - this.latency] : this.outFifo[this.rover - this.latency];
+      this.rover++;
+
+      if (this.rover >= this.size) {
+        this.rover = this.latency;
+        if (bypass) {
+          this.fresh = true;
+          this.wasPeak.fill(0);
+          this.accum.fill(0);
+          this.outFifo.fill(0);
+        } else {
+          this.processFrame(ratio);
+        }
+        this.inFifo.copyWithin(0, this.hop);
+      }
+    }
+  }
+
+  processFrame(ratio) {
+    const { size, bins, hop, re, im } = this;
+    const expected = (2 * Math.PI * hop) / size; // phase advance of bin 1 per hop
+
+    for (let i = 0; i < size; i++) {
+      re[i] = this.inFifo[i] * this.window[i];
+      im[i] = 0;
+    }
+    this.fft.forward(re, im);
+
+    for (let k = 0; k < bins; k++) {
+      const phase = Math.atan2(im[k], re[k]);
+      let delta = phase - this.lastPhase[k] - k * expected;
+      this.lastPhase[k] = phase;
+      delta -= 2 * Math.PI * Math.round(delta / (2 * Math.PI));
+
+      this.phase[k] = phase;
+      this.magnitude[k] = Math.hypot(re[k], im[k]);
+      this.frequency[k] = k + (delta * this.overlap) / (2 * Math.PI);
+    }
+    if (this.formants) this.estimateEnvelope();
+
+    re.fill(0);
+    im.fill(0);
+    const peaks = this.findPeaks();
+    this.peakPhase.fill(0);
+    this.isPeak.fill(0);
+
+    // Move each peak's whole region of influence by the same number of bins and lock
+    // its phases to the peak, so partials keep their shape instead of smearing
+    for (let i = 0; i < peaks.length; i++) {
+      const peak = peaks[i];
+      const low = i === 0 ? 0 : ((peaks[i - 1] + peak) >> 1) + 1;
+      const high = i === peaks.length - 1 ? bins - 1 : (peak + peaks[i + 1]) >> 1;
+      const shift = Math.round(peak * ratio) - peak;
+
+      const previous = this.fresh ? -1 : this.previousPeakNear(peak);
+      const peakPhase = previous < 0
+        ? this.phase[peak]
+        : this.lastPeakPhase[previous] + (2 * Math.PI * this.frequency[peak] * ratio) / this.overlap;
+      this.peakPhase[peak] = peakPhase;
+      this.isPeak[peak] = 1;
+
+      for (let k = low; k <= high; k++) {
+        const target = k + shift;
+        if (target < 0 || target >= bins) continue;
+        const magnitude = this.formants
+          ? (this.magnitude[k] / this.envelope[k]) * this.envelope[target]
+          : this.magnitude[k];
+        const phase = peakPhase + this.phase[k] - this.phase[peak];
+        re[target] += magnitude * Math.cos(phase);
+        im[target] += magnitude * Math.sin(phase);
+      }
+    }
+    [this.lastPeakPhase, this.peakPhase] = [this.peakPhase, this.lastPeakPhase];
+    [this.wasPeak, this.isPeak] = [this.isPeak, this.wasPeak];
+
+    // Only positive frequencies were filled, so the real part carries half the energy except at DC and Nyquist
+    re[0] *= 0.5;
+    re[bins - 1] *= 0.5;
+    this.fft.inverse(re, im);
+
+    const scale = 2 / (size * this.gain);
+    for (let i = 0; i < size; i++) this.accum[i] += this.window[i] * re[i] * scale;
+
+    this.outFifo.set(this.accum.subarray(0, hop));
+    this.accum.copyWithin(0, hop);
+    this.accum.fill(0, size - hop);
+    this.fresh = false;
+  }
+
+  findPeaks() {
+    const { bins, magnitude } = this;
+    let loudest = 0;
+    for (let k = 0; k < bins; k++) loudest = Math.max(loudest, magnitude[k]);
+    const floor = loudest * PEAK_FLOOR;
+
+    const peaks = [];
+    for (let k = 2; k < bins - 2; k++) {
+      const m = magnitude[k];
+      if (m > floor && m > magnitude[k - 1] && m >= magnitude[k + 1] && m > magnitude[k - 2] && m >= magnitude[k + 2]) {
+        peaks.push(k);
+      }
+    }
+    return peaks;
+  }
+
+  // The previous frame's peak this one continues, if any moved by at most two bins
+  previousPeakNear(bin) {
+    for (let distance = 0; distance <= 2; distance++) {
+      if (this.wasPeak[bin - distance]) return bin - distance;
+      if (this.wasPeak[bin + distance]) return bin + distance;
+    }
+    return -1;
+  }
+
+  // Smooth spectral envelope: keep only the low quefrencies of the log spectrum
+  estimateEnvelope() {
+    const { size, bins, cepRe, cepIm } = this;
+    for (let k = 0; k < bins; k++) {
+      cepRe[k] = Math.log(this.magnitude[k] + 1e-9);
+      if (k > 0 && k < bins - 1) cepRe[size - k] = cepRe[k];
+    }
+    cepIm.fill(0);
+    this.fft.inverse(cepRe, cepIm);
+
+    const cutoff = Math.min(size / 2 - 1, Math.round(ENVELOPE_QUEFRENCY * sampleRate));
+    for (let i = 0; i < size; i++) {
+      const keep = i <= cutoff || i >= size - cutoff;
+      cepRe[i] = keep ? cepRe[i] / size : 0;
+      cepIm[i] = 0;
+    }
+    this.fft.forward(cepRe, cepIm);
+    for (let k = 0; k < bins; k++) this.envelope[k] = Math.exp(cepRe[k]);
+  }
+}
+
+class PitchShiftProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.ratio = 1;
+    this.mode = 'balanced';
+    this.shifters = [];
+    this.port.onmessage = (e) => this.handleMessage(e.data);
+    options?.processorOptions?.messages?.forEach(msg => this.handleMessage(msg));
+    this.reportLatency();
+  }
+
+  handleMessage(msg) {
+    if (msg.type === 'pitch') {
+      this.ratio = Math.pow(2, msg.semitones / 12);
+    } else if (msg.type === 'quality' && MODES[msg.mode] && msg.mode !== this.mode) {
+      this.mode = msg.mode;
+      this.shifters = [];
+      this.reportLatency();
+    }
+  }
+
+  reportLatency() {
+    this.port.postMessage({ type: 'latency', seconds: pitchLatencySamples(this.mode) / sampleRate });
+  }
+
+  process(inputs, outputs) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (!input.length) return true;
+
+    for (let ch = 0; ch < output.length; ch++) {
+      this.shifters[ch] ||= new ChannelShifter(MODES[this.mode]);
+      this.shifters[ch].process(input[Math.min(ch, input.length - 1)], output[ch], this.ratio);
+    }
+    return true;
+  }
+}
+
+registerProcessor('pitch-shift-processor', PitchShiftProcessor);
@@ -0,0 +1,243 @@
+import { hannWindow } from '../dsp/fft.js';
+
+/**
+ * WSOLA (waveform-similarity overlap-add) time-stretcher.
+ *
+ * Plays a whole decoded track from memory at any tempo while keeping its
+ * pitch. Each output hop overlap-adds a Hann-windowed frame of the input; the
+ * frame is taken near the nominal (tempo-scaled) input position, at the offset
+ * whose waveform best continues what was just played, so the overlaps stay in
+ * phase instead of smearing. At tempo 1 the search is skipped and the frames
+ * reconstruct the input exactly.
+ *
+ * Messages in:  load { channels }, play, pause, seek { position }, tempo { value },
+ *               loop { region: { start, end } | null }  (all times in seconds)
+ * Messages out: position { position, time }, ended
+ * `processorOptions.messages` are applied before the first render quantum,
+ * so an offline render starts exactly where it was told to.
+ */
+const FRAME_SIZE = 2048;
+const SYNTHESIS_HOP = FRAME_SIZE / 2;
+const SEEK_WINDOW = 512; // furthest a frame may move from its nominal position, in samples
+const COARSE_STEP = 4;
+const POSITION_INTERVAL = 8; // render quanta between position reports
+
+class StretchProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.channels = [];
+    this.mono = new Float32Array(0);
+    this.length = 0;
+    this.playing = false;
+    this.tempo = 1;
+    this.loop = null; // { start, end } in samples
+    this.window = hannWindow(FRAME_SIZE);
+    this.quantaSinceReport = 0;
+    this.port.onmessage = (e) => this.handleMessage(e.data);
+    this.reset(0);
+    options?.processorOptions?.messages?.forEach(msg => this.handleMessage(msg));
+  }
+
+  handleMessage(msg) {
+    switch (msg.type) {
+      case 'load':
+        this.channels = msg.channels;
+        this.length = msg.channels[0]?.length || 0;
+        this.mono = this.mixDown(msg.channels);
+        this.playing = false;
+        this.reset(0);
+        break;
+      case 'play':
+        this.playing = this.length > 0;
+        this.reportPosition();
+        break;
+      case 'pause':
+        this.playing = false;
+        break;
+      case 'seek':
+        this.reset(Math.round(msg.position * sampleRate));
+        this.reportPosition();
+        break;
+      case 'tempo':
+        this.tempo = msg.value;
+        break;
+      case 'loop':
+        this.setLoop(msg.region);
+        break;
+    }
+  }
+
+  mixDown(channels) {
+    if (channels.length === 1) return channels[0];
+    const mono = new Float32Array(this.length);
+    for (const data of channels) {
+      for (let i = 0; i < this.length; i++) mono[i] += data[i] / channels.length;
+    }
+    return mono;
+  }
+
+  reset(position) {
+    this.analysisPos = Math.max(0, Math.min(position, this.length));
+    this.prevPos = null;
+    this.accum = this.channels.map(() => new Float32Array(FRAME_SIZE));
+    this.fifo = this.channels.map(() => new Float32Array(SYNTHESIS_HOP * 2));
+    this.fifoRead = 0;
+    this.fifoLength = 0;
+    this.hops = []; // nominal input position and tempo of each hop waiting in the FIFO
+  }
+
+  setLoop(region) {
+    // Fold unwrapped positions back into the real track before the old loop disappears
+    this.wrapPositions();
+    this.loop = region ? {
+      start: Math.round(region.start * sampleRate),
+      end: Math.round(region.end * sampleRate)
+    } : null;
+  }
+
+  wrapPositions() {
+    const loop = this.loop;
+    if (!loop || this.analysisPos < loop.end) return;
+    const length = loop.end - loop.start;
+    const shift = Math.floor((this.analysisPos - loop.start) / length) * length;
+    this.analysisPos -= shift;
+    if (this.prevPos !== null) this.prevPos -= shift;
+    this.hops.forEach(hop => { hop.position -= shift; });
+  }
+
+  // Positions past the loop end read from the loop start, so the loop plays seamlessly
+  readIndex(i) {
+    const loop = this.loop;
+    if (loop && i >= loop.end) return loop.start + ((i - loop.start) % (loop.end - loop.start));
+    return i;
+  }
+
+  similarity(candidate, target, step) {
+    const mono = this.mono;
+    let cross = 0;
+    let energy = 0;
+    for (let i = 0; i < SYNTHESIS_HOP; i += step) {
+      const a = mono[this.readIndex(candidate + i)] || 0;
+      cross += a * (mono[this.readIndex(target + i)] || 0);
+      energy += a * a;
+    }
+    return energy > 0 ? cross / Math.sqrt(energy) : 0;
+  }
+
+  // Finds the frame start near `nominal` that best continues the previous frame
+  findBestPosition(nominal) {
+    const target = this.prevPos + SYNTHESIS_HOP;
+    const lowest = Math.max(0, nominal - SEEK_WINDOW);
+    const highest = Math.max(lowest, nominal + SEEK_WINDOW);
+
+    let best = nominal;
+    let bestScore = -Infinity;
+    for (let pos = lowest; pos <= highest; pos += COARSE_STEP) {
+      const score = this.similarity(pos, target, 2);
+      if (score > bestScore) {
+        bestScore = score;
+        best = pos;
+      }
+    }
+
+    const coarse = best;
+    for (let pos = Math.max(0, coarse - COARSE_STEP + 1); pos < coarse + COARSE_STEP; pos++) {
+      const score = this.similarity(pos, target, 1);
+      if (score > bestScore) {
+        bestScore = score;
+        best = pos;
+      }
+    }
+    return best;
+  }
+
+  synthesizeHop() {
+    const nominal = Math.round(this.analysisPos);
+    const pos = this.prevPos === null || this.tempo === 1 ? nominal : this.findBestPosition(nominal);
+
+    for (let ch = 0; ch < this.channels.length; ch++) {
+      const data = this.channels[ch];
+      const accum = this.accum[ch];
+      for (let i = 0; i < FRAME_SIZE; i++) {
+        accum[i] += this.window[i] * (data[this.readIndex(pos + i)] || 0);
+      }
+
+      // The first hop of the accumulator is now complete; move it to the output FIFO
+      const fifo = this.fifo[ch];
+      if (this.fifoRead > 0) {
+        fifo.copyWithin(0, this.fifoRead, this.fifoLength);
+      }
+      fifo.set(accum.subarray(0, SYNTHESIS_HOP), this.fifoLength - this.fifoRead);
+      accum.copyWithin(0, SYNTHESIS_HOP);
+      accum.fill(0, FRAME_SIZE - SYNTHESIS_HOP);
+    }
+    this.fifoLength = this.fifoLength - this.fifoRead + SYNTHESIS_HOP;
+    this.fifoRead = 0;
+    this.hops.push({ position: nominal, tempo: this.tempo, consumed: 0 });
+
+    this.prevPos = pos;
+    this.analysisPos += SYNTHESIS_HOP * this.tempo;
+
+    const loop = this.loop;
+    if (loop && Math.min(this.analysisPos, this.prevPos) >= loop.end) {
+      const length = loop.end - loop.start;
+      this.analysisPos -= length;
+      this.prevPos -= length;
+    }
+  }
+
+  hasMoreInput() {
+    return this.loop !== null || this.analysisPos < this.length;
+  }
+
+  currentPosition() {
+    const hop = this.hops[0];
+    const position = hop ? hop.position + hop.consumed * hop.tempo : this.analysisPos;
+    return Math.min(this.readIndex(Math.round(position)), this.length);
+  }
+
+  reportPosition() {
+    this.quantaSinceReport = 0;
+    this.port.postMessage({ type: 'position', position: this.currentPosition() / sampleRate, time: currentTime });
+  }
+
+  consume(count) {
+    this.fifoRead += count;
+    while (count > 0 && this.hops.length) {
+      const hop = this.hops[0];
+      const used = Math.min(count, SYNTHESIS_HOP - hop.consumed);
+      hop.consumed += used;
+      count -= used;
+      if (hop.consumed >= SYNTHESIS_HOP) this.hops.shift();
+    }
+  }
+
+  process(inputs, outputs) {
+    const output = outputs[0];
+    if (!this.playing || !this.channels.length) return true;
+
+    const frames = output[0].length;
+    while (this.fifoLength - this.fifoRead < frames && this.hasMoreInput()) {
+      this.synthesizeHop();
+    }
+
+    const available = Math.min(frames, this.fifoLength - this.fifoRead);
+    for (let ch = 0; ch < output.length; ch++) {
+      const fifo = this.fifo[Math.min(ch, this.fifo.length - 1)];
+      output[ch].set(fifo.subarray(this.fifoRead, this.fifoRead + available));
+    }
+    this.consume(available);
+
+    if (available < frames && !this.hasMoreInput()) {
+      this.playing = false;
+      this.reset(this.length);
+      this.port.postMessage({ type: 'ended' });
+      return true;
+    }
+
+    if (++this.quantaSinceReport >= POSITION_INTERVAL) this.reportPosition();
+    return true;
+  }
+}
+
+registerProcessor('stretch-processor', StretchProcessor);
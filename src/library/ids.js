@@ -0,0 +1,2 @@
+/** Short random ID for library records (setlists, saved loops); crypto.randomUUID needs a secure context. */
+export const newId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
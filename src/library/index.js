@@ -0,0 +1,8 @@
+export {
+  DEFAULT_SETTINGS, videoSongId, remoteSongId, youtubeUrl, fileSongId, saveSong, describeSettings, createSavedLoop
+} from './songs.js';
+export {
+  createSetlist, renameSetlist, deleteSetlist, addToSetlist, removeFromSetlist, moveInSetlist,
+  exportSetlists, importSetlists
+} from './setlists.js';
+export { loadLibrary, saveLibrary } from './storage.js';
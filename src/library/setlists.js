@@ -0,0 +1,100 @@
+import { normalizeSong } from './songs.js';
+import { newId } from './ids.js';
+
+/**
+ * Named, ordered setlists of song IDs. Every function returns a new library
+ * object so the result can go straight into React state.
+ */
+export const EXPORT_TYPE = 'music-pitch-setlists';
+export const EXPORT_VERSION = 1;
+
+const updateSetlist = (library, setlistId, update) => ({
+  ...library,
+  setlists: library.setlists.map(setlist => (setlist.id === setlistId ? update(setlist) : setlist))
+});
+
+export const createSetlist = (library, name) => {
+  const setlist = { id: newId(), name, songIds: [] };
+  return { library: { ...library, setlists: [...library.setlists, setlist] }, setlist };
+};
+
+export const renameSetlist = (library, setlistId, name) =>
+  updateSetlist(library, setlistId, setlist => ({ ...setlist, name }));
+
+export const deleteSetlist = (library, setlistId) => ({
+  ...library,
+  setlists: library.setlists.filter(setlist => setlist.id !== setlistId)
+});
+
+// The song is stored even with default settings, so the setlist can always show and reload it
+export const addToSetlist = (library, setlistId, song) => {
+  const songs = library.songs[song.id] ? library.songs : { ...library.songs, [song.id]: normalizeSong({ ...song, updatedAt: Date.now() }) };
+  return updateSetlist({ ...library, songs }, setlistId, setlist => (
+    setlist.songIds.includes(song.id) ? setlist : { ...setlist, songIds: [...setlist.songIds, song.id] }
+  ));
+};
+
+export const removeFromSetlist = (library, setlistId, index) =>
+  updateSetlist(library, setlistId, setlist => ({
+    ...setlist,
+    songIds: setlist.songIds.filter((_, i) => i !== index)
+  }));
+
+export const moveInSetlist = (library, setlistId, from, to) =>
+  updateSetlist(library, setlistId, setlist => {
+    if (to < 0 || to >= setlist.songIds.length) return setlist;
+    const songIds = [...setlist.songIds];
+    songIds.splice(to, 0, ...songIds.splice(from, 1));
+    return { ...setlist, songIds };
+  });
+
+/**
+ * Serialises setlists together with the presets of their songs, so the file
+ * alone is enough to reproduce the gig on another machine.
+ */
+export const exportSetlists = (library, setlistIds = library.setlists.map(setlist => setlist.id)) => {
+  const setlists = library.setlists.filter(setlist => setlistIds.includes(setlist.id));
+  const songs = {};
+  setlists.forEach(setlist => setlist.songIds.forEach(id => {
+    if (library.songs[id]) songs[id] = library.songs[id];
+  }));
+  return JSON.stringify({ type: EXPORT_TYPE, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), setlists, songs }, null, 2);
+};
+
+/**
+ * Merges an exported file into the library. Setlists with a known ID are
+ * replaced (re-importing an updated gig overwrites the old copy); a song
+ * keeps whichever preset was changed most recently. Throws on invalid input.
+ */
+export const importSetlists = (library, json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  if (data?.type !== EXPORT_TYPE || !Array.isArray(data.setlists)) {
+    throw new Error('File is not a setlist export');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(`Setlist export version ${data.version} is newer than this app supports`);
+  }
+
+  const songs = { ...library.songs };
+  Object.values(data.songs || {}).forEach(raw => {
+    const song = normalizeSong(raw);
+    if (song && !(songs[song.id]?.updatedAt > song.updatedAt)) songs[song.id] = song;
+  });
+
+  const imported = data.setlists
+    .filter(setlist => setlist && Array.isArray(setlist.songIds))
+    .map(setlist => ({
+      id: typeof setlist.id === 'string' && setlist.id ? setlist.id : newId(),
+      name: typeof setlist.name === 'string' && setlist.name ? setlist.name : 'Imported setlist',
+      songIds: setlist.songIds.filter(id => typeof id === 'string' && songs[id])
+    }));
+  const importedIds = new Set(imported.map(setlist => setlist.id));
+  const setlists = [...library.setlists.filter(setlist => !importedIds.has(setlist.id)), ...imported];
+
+  return { library: { ...library, songs, setlists }, count: imported.length };
+};
@@ -0,0 +1,114 @@
+import { newId } from './ids.js';
+
+/**
+ * Per-song presets. A song is identified by where it came from, so its
+ * settings come back whenever the same track is loaded again:
+ *   youtube:<videoId>   - YouTube videos
+ *   web:<mediaId>       - other links the backend resolves (SoundCloud, Bandcamp, ...); the record keeps the `url`
+ *   file:<hash>         - local files, by a hash of their bytes (renaming a file keeps its preset)
+ */
+export const DEFAULT_SETTINGS = {
+  pitch: 0, // semitones
+  cents: 0,
+  speed: 1,
+  loop: null, // { start, end } in seconds of the original track
+  loopEnabled: false,
+  loops: [], // saved { id, start, end, name } regions to practise
+  notes: ''
+};
+
+export const videoSongId = (videoId) => `youtube:${videoId}`;
+
+/** Song ID for a track loaded through /api/info, from its `id` and `provider`. */
+export const remoteSongId = (info) => (info.provider && info.provider !== 'youtube' ? `web:${info.id}` : videoSongId(info.id));
+
+export const youtubeUrl = (songId) => `https://www.youtube.com/watch?v=${songId.slice('youtube:'.length)}`;
+
+// FNV-1a, for pages served over plain HTTP where crypto.subtle is unavailable
+const fnv1a = (bytes) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/** Resolves with the song ID of a local File or Blob, derived from its contents. */
+export const fileSongId = async (file) => {
+  const data = await file.arrayBuffer();
+  if (!globalThis.crypto?.subtle) return `file:${fnv1a(new Uint8Array(data))}-${data.byteLength.toString(16)}`;
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+  return `file:${Array.from(digest.subarray(0, 16), b => b.toString(16).padStart(2, '0')).join('')}`;
+};
+
+const toNumber = (value, fallback, min, max) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+};
+
+const toRegion = (region) => {
+  const start = Number(region?.start);
+  const end = Number(region?.end);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) return null;
+  return { start, end };
+};
+
+/** A loop region to save with a song, under a name; the ID keeps it apart from identical ones. */
+export const createSavedLoop = ({ start, end }, name) => ({ id: newId(), start, end, name });
+
+/**
+ * Returns a well-formed song record from untrusted input (localStorage or an
+ * imported file), or null when it has no usable ID.
+ */
+export const normalizeSong = (song) => {
+  if (typeof song?.id !== 'string' || !/^(youtube|web|file):[\w-]+$/.test(song.id)) return null;
+  const loop = toRegion(song.loop);
+  const loopIds = new Set();
+  return {
+    id: song.id,
+    title: typeof song.title === 'string' ? song.title : song.id,
+    url: typeof song.url === 'string' && /^https?:\/\//.test(song.url) ? song.url : undefined,
+    pitch: Math.round(toNumber(song.pitch, 0, -12, 12)),
+    cents: Math.round(toNumber(song.cents, 0, -50, 50)),
+    speed: toNumber(song.speed, 1, 0.5, 2),
+    loop,
+    loopEnabled: Boolean(loop && song.loopEnabled),
+    loops: (Array.isArray(song.loops) ? song.loops : [])
+      .map(saved => {
+        const region = toRegion(saved);
+        if (!region) return null;
+        // Loops saved before they had IDs, or copied ones, get a fresh one
+        const id = typeof saved.id === 'string' && saved.id && !loopIds.has(saved.id) ? saved.id : newId();
+        loopIds.add(id);
+        return { id, ...region, name: typeof saved.name === 'string' ? saved.name : '' };
+      })
+      .filter(Boolean),
+    notes: typeof song.notes === 'string' ? song.notes : '',
+    updatedAt: toNumber(song.updatedAt, 0, 0, Number.MAX_SAFE_INTEGER)
+  };
+};
+
+/** True when `settings` differ from a freshly loaded track's. */
+export const hasCustomSettings = (settings) =>
+  Object.keys(DEFAULT_SETTINGS).some(key => JSON.stringify(settings[key]) !== JSON.stringify(DEFAULT_SETTINGS[key]));
+
+/**
+ * Stores the song's settings. Songs that were never changed from the defaults
+ * are not stored, so merely playing a track does not create a preset.
+ */
+export const saveSong = (library, song) => {
+  if (!library.songs[song.id] && !hasCustomSettings(song)) return library;
+  const saved = normalizeSong({ ...library.songs[song.id], ...song, updatedAt: Date.now() });
+  return { ...library, songs: { ...library.songs, [song.id]: saved } };
+};
+
+/** "+2 semi, -15 cents, 0.8x" summary of a preset's playback changes. */
+export const describeSettings = ({ pitch, cents, speed }) => {
+  const signed = (value) => (value > 0 ? `+${value}` : `${value}`);
+  const changes = [];
+  if (pitch) changes.push(`${signed(pitch)} semi`);
+  if (cents) changes.push(`${signed(cents)} cents`);
+  if (speed !== 1) changes.push(`${speed}x`);
+  return changes.join(', ') || 'original';
+};
@@ -0,0 +1,34 @@
+import { normalizeSong } from './songs.js';
+
+const STORAGE_KEY = 'music-pitch:library';
+
+export const emptyLibrary = () => ({ songs: {}, setlists: [] });
+
+/** Reads the library from localStorage, dropping anything malformed. */
+export const loadLibrary = () => {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!data) return emptyLibrary();
+    const songs = {};
+    Object.values(data.songs || {}).forEach(raw => {
+      const song = normalizeSong(raw);
+      if (song) songs[song.id] = song;
+    });
+    const setlists = (Array.isArray(data.setlists) ? data.setlists : [])
+      .filter(setlist => typeof setlist?.id === 'string' && Array.isArray(setlist.songIds))
+      .map(setlist => ({ ...setlist, songIds: setlist.songIds.filter(id => songs[id]) }));
+    return { songs, setlists };
+  } catch (err) {
+    console.error('[FRONTEND] Could not read the saved library:', err);
+    return emptyLibrary();
+  }
+};
+
+export const saveLibrary = (library) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(library));
+  } catch (err) {
+    // Quota exceeded or storage disabled (private browsing); presets just won't persist
+    console.error('[FRONTEND] Could not save the library:', err);
+  }
+};
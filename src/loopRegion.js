@@ -0,0 +1,40 @@
+/**
+ * The A-B loop as a region on the waveform (wavesurfer's RegionsPlugin).
+ * The app draws the region itself whenever `loop` changes (presets, saved
+ * loops, the A / B buttons), and the user can drag out a new one. Only the
+ * latter turns looping on: a restored preset keeps its own loopEnabled.
+ */
+
+// Regions the user drags get wavesurfer's random `region-…` IDs
+const LOOP_REGION_ID = 'ab-loop';
+
+/**
+ * Listens to the plugin's regions: `onChange({ start, end })` whenever the
+ * region is drawn or moved, `onDrawn()` only when the user dragged out a new
+ * one. Only one region is kept. Returns a function that stops listening.
+ */
+export const bindLoopRegion = (regions, { onChange, onDrawn }) => {
+  const unsubscribes = [
+    regions.on('region-created', (region) => {
+      regions.getRegions().forEach(r => r !== region && r.remove());
+      onChange({ start: region.start, end: region.end });
+      if (region.id !== LOOP_REGION_ID) onDrawn();
+    }),
+    regions.on('region-updated', (region) => {
+      onChange({ start: region.start, end: region.end });
+    })
+  ];
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+};
+
+/** Makes the waveform show `loop` ({ start, end } or null) as its region. */
+export const showLoopRegion = (regions, loop, color) => {
+  const [region] = regions.getRegions();
+  if (!loop) {
+    regions.clearRegions();
+  } else if (!region) {
+    regions.addRegion({ id: LOOP_REGION_ID, start: loop.start, end: loop.end, color });
+  } else if (region.start !== loop.start || region.end !== loop.end) {
+    region.setOptions({ start: loop.start, end: loop.end });
+  }
+};
@@ -0,0 +1,64 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'server', 'index.js');
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+/** A temporary directory, removed by the returned cleanup function. */
+export const tempDir = (prefix) => fs.mkdtempSync(path.join(os.tmpdir(), `music-pitch-${prefix}-`));
+
+/** Writes an executable shell script standing in for ffmpeg or yt-dlp. */
+export const fakeBinary = (dir, name, script) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, `#!/bin/sh\n${script}\n`, { mode: 0o755 });
+    return file;
+};
+
+/**
+ * Starts the backend on a free port with `env` added to its environment.
+ * Resolves with { url, stop } once it is listening.
+ */
+export const startServer = async (env = {}) => {
+    const port = await freePort();
+    const child = spawn(process.execPath, [SERVER], {
+        env: { ...process.env, PORT: String(port), ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+        const onData = (chunk) => {
+            output += chunk;
+            if (output.includes('Server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+    return {
+        url: `http://127.0.0.1:${port}`,
+        stop: () => new Promise((resolve) => {
+            child.removeAllListeners('exit');
+            child.on('exit', resolve);
+            child.kill();
+        })
+    };
+};
@@ -0,0 +1,70 @@
+import { test, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { tempDir, startServer } from './helpers.js';
+
+const ADMIN_TOKEN = 'log-admin-secret';
+const COOKIES = `.youtube.com\tTRUE\t/\tTRUE\t${Math.floor(Date.now() / 1000) + 86400}\tSID\tsecret\n`;
+const dir = tempDir('logs');
+let server;
+
+// Signs in a new session by importing cookies, under `requestId`; resolves with its token
+const signIn = async (requestId) => {
+    const res = await fetch(`${server.url}/api/auth/cookies`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain', 'X-Request-Id': requestId },
+        body: COOKIES
+    });
+    assert.equal(res.status, 200);
+    return (await res.json()).session_token;
+};
+
+const getLogs = async (query = '', headers = {}) => {
+    const res = await fetch(`${server.url}/api/logs${query}`, { headers });
+    return { status: res.status, body: await res.json() };
+};
+
+before(async () => {
+    server = await startServer({ SESSION_DIR: path.join(dir, 'sessions'), LOG_ADMIN_TOKEN: ADMIN_TOKEN });
+});
+
+after(async () => {
+    await server?.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a caller with no session, request_id or admin token gets no log records', async () => {
+    const { status, body } = await getLogs();
+    assert.equal(status, 403);
+    assert.equal(body.error, 'Log access denied');
+});
+
+test('each session only reads the records of its own requests', async () => {
+    const alice = await signIn('alice-import-1');
+    await signIn('bob-import-1');
+
+    const { status, body } = await getLogs('', { Authorization: `Bearer ${alice}` });
+    assert.equal(status, 200);
+    const requestIds = new Set(body.logs.map(record => record.request_id));
+    assert.ok(requestIds.has('alice-import-1'));
+    assert.ok(!requestIds.has('bob-import-1'));
+    body.logs.forEach(record => assert.ok(!('sessionId' in record)));
+});
+
+test('a request_id reads just that request\'s records, signed in or not', async () => {
+    const { status, body } = await getLogs('?request_id=bob-import-1');
+    assert.equal(status, 200);
+    assert.ok(body.logs.length > 0);
+    body.logs.forEach(record => assert.equal(record.request_id, 'bob-import-1'));
+});
+
+test('the admin token reads every session\'s records', async () => {
+    const { status, body } = await getLogs('', { 'X-Log-Token': ADMIN_TOKEN });
+    assert.equal(status, 200);
+    const requestIds = new Set(body.logs.map(record => record.request_id));
+    assert.ok(requestIds.has('alice-import-1'));
+    assert.ok(requestIds.has('bob-import-1'));
+
+    assert.equal((await getLogs('', { 'X-Log-Token': 'wrong' })).status, 403);
+});
@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bindLoopRegion, showLoopRegion } from '../src/loopRegion.js';
+
+// Just enough of wavesurfer's RegionsPlugin: regions announce themselves with 'region-created'
+class FakeRegions {
+    constructor() {
+        this.regions = [];
+        this.listeners = {};
+        this.nextId = 0;
+    }
+
+    on(event, listener) {
+        (this.listeners[event] ||= new Set()).add(listener);
+        return () => this.listeners[event].delete(listener);
+    }
+
+    emit(event, ...args) {
+        this.listeners[event]?.forEach(listener => listener(...args));
+    }
+
+    getRegions() {
+        return this.regions;
+    }
+
+    addRegion(options) {
+        const region = {
+            id: options.id || `region-${++this.nextId}`,
+            start: options.start,
+            end: options.end,
+            setOptions: (changes) => Object.assign(region, changes),
+            remove: () => {
+                this.regions = this.regions.filter(r => r !== region);
+            }
+        };
+        this.regions.push(region);
+        this.emit('region-created', region);
+        return region;
+    }
+
+    // What enableDragSelection does once the pointer is released
+    drag(start, end) {
+        return this.addRegion({ start, end });
+    }
+
+    clearRegions() {
+        this.regions = [];
+    }
+}
+
+const bind = () => {
+    const regions = new FakeRegions();
+    const state = { loop: null, loopEnabled: false };
+    bindLoopRegion(regions, {
+        onChange: (loop) => { state.loop = loop; },
+        onDrawn: () => { state.loopEnabled = true; }
+    });
+    return { regions, state };
+};
+
+test('restoring a preset with a disabled loop draws the region but leaves looping off', () => {
+    const { regions, state } = bind();
+    showLoopRegion(regions, { start: 10, end: 20 }, 'blue');
+
+    assert.equal(regions.getRegions().length, 1);
+    assert.deepEqual(state.loop, { start: 10, end: 20 });
+    assert.equal(state.loopEnabled, false);
+});
+
+test('dragging out a region sets the loop and turns looping on', () => {
+    const { regions, state } = bind();
+    regions.drag(3, 7);
+
+    assert.deepEqual(state.loop, { start: 3, end: 7 });
+    assert.equal(state.loopEnabled, true);
+});
+
+test('a dragged region replaces the shown one', () => {
+    const { regions, state } = bind();
+    showLoopRegion(regions, { start: 10, end: 20 }, 'blue');
+    regions.drag(30, 40);
+
+    assert.equal(regions.getRegions().length, 1);
+    assert.deepEqual(state.loop, { start: 30, end: 40 });
+});
+
+test('moving the loop updates the region instead of drawing a new one', () => {
+    const { regions } = bind();
+    showLoopRegion(regions, { start: 10, end: 20 }, 'blue');
+    const [region] = regions.getRegions();
+    showLoopRegion(regions, { start: 11, end: 20 }, 'blue');
+
+    assert.deepEqual(regions.getRegions(), [region]);
+    assert.equal(region.start, 11);
+    showLoopRegion(regions, null, 'blue');
+    assert.equal(regions.getRegions().length, 0);
+});
@@ -0,0 +1,34 @@
+import { test, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { tempDir, fakeBinary, startServer } from './helpers.js';
+
+const VIDEO_ID = 'dQw4w9WgXcQ';
+const dir = tempDir('render');
+let server;
+
+before(async () => {
+    const cacheDir = path.join(dir, 'cache');
+    fs.mkdirSync(cacheDir);
+    // Already cached, so the render starts without downloading anything
+    fs.writeFileSync(path.join(cacheDir, `${VIDEO_ID}.m4a`), 'not really audio');
+    server = await startServer({
+        AUDIO_CACHE_DIR: cacheDir,
+        SESSION_DIR: path.join(dir, 'sessions'),
+        FFMPEG_PATH: fakeBinary(dir, 'ffmpeg', 'echo "Invalid data found when processing input" >&2\nexit 1')
+    });
+});
+
+after(async () => {
+    await server?.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a render that fails before writing any audio is a 500 with ffmpeg\'s error', async () => {
+    const res = await fetch(`${server.url}/api/render?url=${VIDEO_ID}&semitones=2`);
+    assert.equal(res.status, 500);
+    const body = await res.json();
+    assert.equal(body.error, 'Render failed');
+    assert.match(body.details, /Invalid data found/);
+});
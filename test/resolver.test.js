@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSource } from '../server/resolver.js';
+
+test('YouTube links and bare IDs resolve to the video', () => {
+    for (const input of ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'https://youtu.be/dQw4w9WgXcQ', 'dQw4w9WgXcQ']) {
+        assert.deepEqual(resolveSource(input), {
+            provider: 'youtube',
+            mediaId: 'dQw4w9WgXcQ',
+            url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+        });
+    }
+});
+
+test('URLs with control characters or inner whitespace are refused', () => {
+    for (const input of ['https://soundcloud.com/a\u0000b', 'https://soundcloud.com/a\tb', 'https://soundcloud.com/a\u007fb', 'https://soundcloud.com/a b']) {
+        assert.match(resolveSource(input).error, /whitespace or control characters/);
+    }
+});
+
+test('local and private hosts are refused', () => {
+    for (const input of ['http://127.0.0.1/a.mp3', 'http://169.254.169.254/latest', 'http://localhost/x', 'http://[::1]/a.mp3']) {
+        assert.ok(resolveSource(input).error, input);
+    }
+});
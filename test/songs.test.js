@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSong, createSavedLoop } from '../src/library/songs.js';
+
+test('identical saved loops keep apart by ID', () => {
+    const first = createSavedLoop({ start: 5, end: 9 }, 'Chorus');
+    const second = createSavedLoop({ start: 5, end: 9 }, 'Chorus');
+    assert.notEqual(first.id, second.id);
+
+    const song = normalizeSong({ id: 'youtube:dQw4w9WgXcQ', loops: [first, second] });
+    assert.deepEqual(song.loops.map(loop => loop.id), [first.id, second.id]);
+});
+
+test('saved loops without an ID, or with a repeated one, get a fresh ID', () => {
+    const song = normalizeSong({
+        id: 'youtube:dQw4w9WgXcQ',
+        loops: [{ start: 1, end: 2, name: 'old' }, { id: 'x', start: 3, end: 4 }, { id: 'x', start: 3, end: 4 }]
+    });
+    const ids = song.loops.map(loop => loop.id);
+    assert.equal(new Set(ids).size, 3);
+    assert.equal(ids[1], 'x');
+    assert.ok(ids.every(id => typeof id === 'string' && id));
+});